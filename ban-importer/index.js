@@ -1,47 +1,43 @@
 import { connect, disconnect } from 'scbl-lib/db';
 import { Logger } from 'scbl-lib/utils';
 
-import Core from './src/core.js';
-
-import BanImporter from './src/ban-importer.js';
-import ExportBanManager from './src/export-ban-manager.js';
+import { EXIT_CODES, parseArgs, runCommand, USAGE } from './src/cli.js';
 
 Error.stackTraceLimit = 255;
 
-const TASKS_TO_COMPLETE = {
-  IMPORT_BANS: true,
-  UPDATE_STEAM_USER_INFO: true, // TODO: This is causing random hangs; Try ading more debug code until we can find out what causes it.
-  UPDATE_REPUTATION_POINTS: true,
-  UPDATE_REPUTATION_RANK: true,
-  UPDATE_EXPORT_BANS: true,
-  EXPORT_EXPORT_BANS: true
-};
 async function doSleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 async function main() {
+  let command;
+  try {
+    command = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (command.name === 'help') {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+
   const profileStartTime = Date.now();
   await Logger.verbose(
     'Core',
     1,
-    `<@276137824460210178> Starting new CBL Update run... Initializing PM2 hooks!`
+    `<@276137824460210178> Starting new CBL Update run (${command.name})... Initializing PM2 hooks!`
   );
   await connect();
 
-  if (TASKS_TO_COMPLETE.IMPORT_BANS) {
-    const importer = new BanImporter();
-    await importer.importBans();
+  let exitCode;
+  try {
+    exitCode = await runCommand(command);
+  } finally {
+    await disconnect();
   }
 
-  if (TASKS_TO_COMPLETE.UPDATE_STEAM_USER_INFO) await Core.updateSteamUserInfo();
-  if (TASKS_TO_COMPLETE.UPDATE_REPUTATION_POINTS) await Core.clearOrphanedUsers();
-  if (TASKS_TO_COMPLETE.UPDATE_REPUTATION_POINTS) await Core.updateReputationPoints();
-  if (TASKS_TO_COMPLETE.UPDATE_REPUTATION_RANK) await Core.updateReputationRank();
-  if (TASKS_TO_COMPLETE.UPDATE_EXPORT_BANS) await ExportBanManager.updateExportBans();
-  if (TASKS_TO_COMPLETE.EXPORT_EXPORT_BANS) await Core.exportExportBans();
-
-  await disconnect();
   await Logger.verbose(
     'Core',
     1,
@@ -54,22 +50,29 @@ async function main() {
       2
     )}s. Discarding PM2 Hooks. Garbage Collection Completed.`
   );
+
+  return exitCode;
+}
+
+async function waitForLogQueue() {
+  while (
+    Logger.getLogQueue().RECEIVED !== 0 ||
+    Logger.getLogQueue().QUEUED !== 0 ||
+    Logger.getLogQueue().RUNNING !== 0 ||
+    Logger.getLogQueue().EXECUTING !== 0
+  ) {
+    await doSleep(1000);
+  }
 }
 
 main()
-  .then(async () => {
-    console.log(`Done!`);
-    while (
-      Logger.getLogQueue().RECEIVED !== 0 ||
-      Logger.getLogQueue().QUEUED !== 0 ||
-      Logger.getLogQueue().RUNNING !== 0 ||
-      Logger.getLogQueue().EXECUTING !== 0
-    ) {
-      await doSleep(1000);
-    }
-    process.exit(0);
+  .then(async (exitCode) => {
+    console.log(`Done! (exit code ${exitCode})`);
+    await waitForLogQueue();
+    process.exit(exitCode);
   })
-  .catch((error) => {
+  .catch(async (error) => {
     console.error(error);
-    throw error;
+    await waitForLogQueue();
+    process.exit(EXIT_CODES.ERROR);
   });
@@ -0,0 +1,177 @@
+import querystring from 'querystring';
+
+import { battlemetrics } from 'scbl-lib/apis';
+import { createImportedBan, isEOSID, Logger } from 'scbl-lib/utils';
+
+import { doSleep } from './utils.js';
+
+// Full syncs, which are needed to find bans deleted from the list, are done at this interval. Other
+// syncs only fetch bans updated since the last successful sync.
+const FULL_SYNC_INTERVAL =
+  (process.env.BATTLEMETRICS_FULL_SYNC_INTERVAL_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+// Margin to allow for clock differences between us and BattleMetrics in incremental syncs.
+const INCREMENTAL_SYNC_OVERLAP = 60 * 60 * 1000;
+
+// Fetches ban lists hosted on BattleMetrics, where the source is the BattleMetrics ban list ID.
+export default {
+  type: 'battlemetrics',
+
+  validateSource(source) {
+    if (!/^[0-9a-f-]+$/i.test(source))
+      throw new Error(`Invalid BattleMetrics ban list ID: ${source}`);
+  },
+
+  getHost() {
+    return 'api.battlemetrics.com';
+  },
+
+  async fetch(banList, storeBans, options) {
+    const syncStarted = new Date();
+    const fullSync =
+      options.fullFetch ||
+      !banList.lastSynced ||
+      !banList.lastFullSync ||
+      syncStarted - banList.lastFullSync >= FULL_SYNC_INTERVAL;
+    const updatedSince = fullSync ? null : new Date(banList.lastSynced - INCREMENTAL_SYNC_OVERLAP);
+
+    Logger.verbose(
+      'BanFetcher',
+      2,
+      `Doing ${fullSync ? 'full' : 'incremental'} sync of Battlemetrics ban list (ID: ${
+        banList.id
+      })...`
+    );
+
+    // Setup the initial parameters for the first fetch. Incremental syncs fetch the most recently
+    // updated bans first so they can stop once they reach bans that have already been synced.
+    let params = { 'filter[banList]': banList.source, 'page[size]': 100 };
+    if (!fullSync) params.sort = '-updatedAt';
+    let reachedSyncedBans = false;
+
+    // Loop until there's no more pages to fetch.
+    while (true) {
+      let data = null;
+      let retryCount = 0;
+      while (!data && retryCount < 5) {
+        try {
+          // Get the ban page's data.
+          Logger.verbose(
+            'BanFetcher',
+            2,
+            `Fetching Battlemetrics ban list data for ban list (ID: ${banList.id})...`
+          );
+          const myData = await battlemetrics('get', 'bans', params);
+          data = myData.data;
+        } catch (err) {
+          Logger.verbose('BanFetcher', 1, `Failed to fetch ban list (ID: ${banList.id}): `, err);
+          if (err.response && err.response.status === 404) {
+            break;
+          }
+
+          retryCount++;
+          await doSleep(1000);
+        }
+      }
+      if (!data)
+        throw new Error(
+          `Failed to fetch Battlemetrics ban list data for ban list (ID: ${banList.id}).`
+        );
+
+      const bans = [];
+
+      // Loop over each ban in the page's data.
+      for (const ban of data.data) {
+        try {
+          if (
+            updatedSince &&
+            new Date(ban.attributes.updatedAt || ban.attributes.timestamp) < updatedSince
+          ) {
+            reachedSyncedBans = true;
+            continue;
+          }
+
+          // Get the SteamID and EOS ID of the player banned.
+          let steamUser = null;
+          let eosID = null;
+          // Loop through identifiers to get the player's IDs.
+          for (const identifier of ban.attributes.identifiers) {
+            try {
+              if (identifier.type === 'eosID') {
+                if (isEOSID(identifier.identifier)) eosID = identifier.identifier;
+                continue;
+              }
+
+              // Ignore other identifiers and any SteamIDs after the first.
+              if (identifier.type !== 'steamID' || steamUser) continue;
+
+              // Some show steam url instead of usual format so handle that case.
+              if (identifier.identifier)
+                steamUser = identifier.identifier.replace(
+                  'https://steamcommunity.com/profiles/',
+                  ''
+                );
+              else if (identifier.metadata) steamUser = identifier.metadata.profile.steamid;
+              else continue;
+
+              if (!steamUser.match(/[0-9]{17}/)) steamUser = null;
+            } catch (err) {
+              Logger.verbose(
+                'BanFetcher',
+                1,
+                `Failed to fetch ban list (ID: ${banList.id}): `,
+                err
+              );
+              if (err.response && err.response.status === 404) {
+                break;
+              }
+            }
+          }
+
+          // Sometimes there is no SteamID or EOS ID in the response. If this is the case we ignore the ban.
+          if (steamUser == null && eosID == null) continue;
+
+          // Store the ban, turning the dates into date objects or null if permanent ban.
+          bans.push(
+            createImportedBan({
+              id: ban.attributes.uid,
+              banList,
+              steamUser,
+              eosID,
+              created: new Date(ban.attributes.timestamp),
+              expires: ban.attributes.expires ? new Date(ban.attributes.expires) : null,
+              reason: ban.attributes.reason,
+              note: ban.attributes.note
+            })
+          );
+        } catch (err) {
+          Logger.verbose('BanFetcher', 1, `Failed to fetch ban list (ID: ${banList.id}): `, err);
+          if (err.response && err.response.status === 404) {
+            break;
+          }
+        }
+      }
+      try {
+        await storeBans(bans);
+
+        // If that is the last page, or the rest have already been synced, then break out the loop.
+        if (!data.links.next || reachedSyncedBans) break;
+
+        // Store the parameters for the next page fetch.
+        params = querystring.parse(data.links.next.split('?')[1], null, null, {
+          decodeURIComponent: true
+        });
+      } catch (err) {
+        Logger.verbose('BanFetcher', 1, `Failed to fetch ban list (ID: ${banList.id}): `, err);
+        if (err.response && err.response.status === 404) {
+          break;
+        }
+      }
+    }
+
+    return {
+      complete: fullSync,
+      state: { lastSynced: syncStarted, ...(fullSync && { lastFullSync: syncStarted }) }
+    };
+  }
+};
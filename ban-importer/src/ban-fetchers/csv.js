@@ -0,0 +1,155 @@
+import { createImportedBan, isEOSID, isSteamID } from 'scbl-lib/utils';
+
+import { fetchURL, parseDate, validateURL } from './utils.js';
+
+// Default headings of each column, used for columns missing from the ban list's column mapping.
+// Headings are matched against the header row case insensitively.
+const DEFAULT_COLUMN_MAPPING = {
+  id: 'id',
+  steamID: 'steamid',
+  eosID: 'eosid',
+  created: 'created',
+  expires: 'expires',
+  reason: 'reason',
+  note: 'note'
+};
+
+// Values used in spreadsheets to mark bans as permanent.
+const PERMANENT_EXPIRIES = ['perm', 'permanent', 'never', '-'];
+
+const GOOGLE_SHEETS_URL_REGEX =
+  /^https:\/\/docs\.google\.com\/spreadsheets\/d\/([a-zA-Z0-9_-]+)\/(?:edit|view)\b/;
+
+// Converts links to Google Sheets into links to their CSV export. Published CSV links are left as
+// they are.
+function getCSVURL(source) {
+  const match = source.match(GOOGLE_SHEETS_URL_REGEX);
+  if (!match) return source;
+
+  const gid = new URL(source).hash.match(/gid=([0-9]+)/) || source.match(/[?&]gid=([0-9]+)/);
+  return `https://docs.google.com/spreadsheets/d/${match[1]}/export?format=csv${
+    gid ? `&gid=${gid[1]}` : ''
+  }`;
+}
+
+// Parses RFC 4180 CSV into an array of rows, each an array of fields.
+function parseCSV(data) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < data.length; i++) {
+    const char = data[i];
+
+    if (quoted) {
+      if (char === '"' && data[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && data[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop empty lines.
+  return rows.filter((row) => row.some((field) => field.trim() !== ''));
+}
+
+/*
+ * Fetches CSV ban feeds, including Google Sheets, with a header row. The headings of the ID, SteamID,
+ * EOSID, created, expires, reason and note columns can be set in the ban list's column mapping, e.g.
+ * { "steamID": "Steam 64", "reason": "Ban Reason" }. Rows that cannot be parsed are skipped and
+ * reported in the ban list's import status.
+ */
+export default {
+  type: 'csv',
+
+  validateSource(source) {
+    validateURL(source);
+  },
+
+  async fetch(banList, storeBans, options) {
+    const response = await fetchURL(banList, { ...options, url: getCSVURL(banList.source) });
+    if (response.notModified) return response;
+
+    const [header, ...rows] = parseCSV(response.data);
+    if (!header) throw new Error('CSV ban feed is empty.');
+
+    // Find the index of each column in the header row.
+    const columnMapping = { ...DEFAULT_COLUMN_MAPPING, ...banList.columnMapping };
+    const headings = header.map((heading) => heading.trim().toLowerCase());
+    const indexes = {};
+    for (const [key, heading] of Object.entries(columnMapping))
+      indexes[key] = heading ? headings.indexOf(heading.trim().toLowerCase()) : -1;
+
+    if (indexes.steamID === -1 && indexes.eosID === -1)
+      throw new Error(
+        `CSV ban feed does not have a "${columnMapping.steamID}" or "${columnMapping.eosID}" column.`
+      );
+
+    const getField = (row, key) =>
+      indexes[key] === -1 ? undefined : (row[indexes[key]] || '').trim();
+
+    const bans = [];
+    const warnings = [];
+
+    for (const [index, row] of rows.entries()) {
+      // Row numbers count the header row, so they match the row numbers shown in spreadsheets.
+      const rowNumber = index + 2;
+
+      try {
+        const steamUser = getField(row, 'steamID');
+        const eosID = getField(row, 'eosID');
+        if (!(isSteamID(steamUser) || isEOSID(eosID)))
+          throw new Error('Row does not have a valid SteamID or EOSID.');
+
+        const expires = getField(row, 'expires');
+
+        bans.push(
+          createImportedBan({
+            id: getField(row, 'id'),
+            banList,
+            steamUser: isSteamID(steamUser) ? steamUser : null,
+            eosID: isEOSID(eosID) ? eosID : null,
+            created: parseDate(getField(row, 'created')) || undefined,
+            expires: PERMANENT_EXPIRIES.includes((expires || '').toLowerCase())
+              ? null
+              : parseDate(expires),
+            reason: getField(row, 'reason') || '',
+            note: getField(row, 'note')
+          })
+        );
+      } catch (err) {
+        warnings.push(`Row ${rowNumber}: ${err.message}`);
+      }
+    }
+
+    await storeBans(bans);
+
+    return {
+      state: { etag: response.etag, lastModified: response.lastModified },
+      warnings
+    };
+  }
+};
@@ -0,0 +1,54 @@
+import battlemetrics from './battlemetrics.js';
+import csv from './csv.js';
+import json from './json.js';
+import push from './push.js';
+import remote from './remote.js';
+
+/*
+ * Registry of ban list fetchers keyed by the ban list type they handle. A fetcher is an object in
+ * the following format:
+ *   {
+ *     type: 'remote',
+ *     validateSource(source) {}, // Throws if the ban list's source is invalid for this type.
+ *     getHost(source) {}, // Optional. Host the source is fetched from, if it is not a URL.
+ *     async fetch(banList, storeBans, options) {} // Fetches the ban list and passes batches of
+ *                                                 // raw bans to storeBans.
+ *   }
+ * options may contain the following properties:
+ *   fullFetch - True if the whole ban list must be fetched, ignoring cache validators and
+ *               incremental sync state, e.g. in dry runs, so every ban in it is compared.
+ * fetch may return an object with any of the following properties:
+ *   notModified - True if the ban list has not changed since it was last imported, in which case
+ *                 its bans are left as they are.
+ *   complete - False if only some of the ban list's bans were fetched, e.g. in incremental syncs,
+ *              so bans that were not fetched must not be deleted. Defaults to !notModified.
+ *   state - Ban list attributes to store once the import succeeds and all of its bans are saved,
+ *           e.g. HTTP cache validators.
+ *   warnings - Array of strings describing problems that did not stop the ban list being imported,
+ *              e.g. malformed lines, to be shown in the ban list's import status.
+ * Raw bans should be created with createImportedBan from scbl-lib/utils so they are in the shape
+ * expected by the importer.
+ */
+const fetchers = new Map();
+
+function registerBanFetcher(fetcher) {
+  if (!fetcher.type) throw new Error('Ban fetchers must specify a type.');
+  if (typeof fetcher.validateSource !== 'function' || typeof fetcher.fetch !== 'function')
+    throw new Error(`Ban fetcher "${fetcher.type}" must implement validateSource and fetch.`);
+  if (fetchers.has(fetcher.type))
+    throw new Error(`A ban fetcher for type "${fetcher.type}" is already registered.`);
+
+  fetchers.set(fetcher.type, fetcher);
+}
+
+function getBanFetcher(type) {
+  return fetchers.get(type) || null;
+}
+
+function getBanFetcherTypes() {
+  return [...fetchers.keys()];
+}
+
+for (const fetcher of [battlemetrics, csv, json, push, remote]) registerBanFetcher(fetcher);
+
+export { getBanFetcher, getBanFetcherTypes, registerBanFetcher };
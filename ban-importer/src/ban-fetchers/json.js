@@ -0,0 +1,63 @@
+import { createImportedBan, isEOSID, isSteamID } from 'scbl-lib/utils';
+
+import { fetchURL, parseDate, validateURL } from './utils.js';
+
+/*
+ * Fetches JSON ban feeds. The feed must be an array of bans, or an object with a "bans" array,
+ * where each ban is in the following format, with at least one of "steamID" and "eosID":
+ *   {
+ *     "id": "optional unique ID of the ban within the feed",
+ *     "steamID": "76561198000000000",
+ *     "eosID": "0002a10186d9414496bf20d22d3860ba",
+ *     "created": "ISO 8601 date or Unix timestamp (optional)",
+ *     "expires": "ISO 8601 date or Unix timestamp, or null/0 for permanent bans",
+ *     "reason": "Teamkilling",
+ *     "note": "optional note"
+ *   }
+ */
+export default {
+  type: 'json',
+
+  validateSource(source) {
+    validateURL(source);
+  },
+
+  async fetch(banList, storeBans, options) {
+    const response = await fetchURL(banList, options);
+    if (response.notModified) return response;
+
+    const data = JSON.parse(response.data);
+
+    const entries = Array.isArray(data) ? data : data.bans;
+    if (!Array.isArray(entries)) throw new Error('JSON ban feed does not contain a list of bans.');
+
+    const bans = [];
+    const warnings = [];
+
+    for (const [index, entry] of entries.entries()) {
+      // Skip entries that do not identify a player.
+      if (!entry || !(isSteamID(entry.steamID) || isEOSID(entry.eosID))) continue;
+
+      try {
+        bans.push(
+          createImportedBan({
+            id: entry.id,
+            banList,
+            steamUser: isSteamID(entry.steamID) ? entry.steamID : null,
+            eosID: isEOSID(entry.eosID) ? entry.eosID : null,
+            created: parseDate(entry.created) || undefined,
+            expires: parseDate(entry.expires),
+            reason: entry.reason || '',
+            note: entry.note
+          })
+        );
+      } catch (err) {
+        warnings.push(`Entry ${index + 1}: ${err.message}`);
+      }
+    }
+
+    await storeBans(bans);
+
+    return { state: { etag: response.etag, lastModified: response.lastModified }, warnings };
+  }
+};
@@ -0,0 +1,11 @@
+// Ban lists that partner organisations push bans to through the web server's push API. There is
+// nothing to fetch, so their bans are left as they are.
+export default {
+  type: 'push',
+
+  validateSource() {},
+
+  async fetch() {
+    return { notModified: true };
+  }
+};
@@ -0,0 +1,66 @@
+import { createImportedBan, Logger } from 'scbl-lib/utils';
+
+import parseSquadBanFile from './squad-ban-file-parser.js';
+import { fetchURL, validateURL } from './utils.js';
+
+// Maximum number of malformed lines to include in logs.
+const MAX_LOGGED_ERRORS = 5;
+
+// Describes the admin who issued a ban for the ban's note, e.g. "Banned by Name (SteamID 7656...)".
+function describeAdmin(admin) {
+  if (!admin) return null;
+
+  const identifiers = [];
+  if (admin.steamID) identifiers.push(`SteamID ${admin.steamID}`);
+  if (admin.eosID) identifiers.push(`EOSID ${admin.eosID}`);
+  if (!admin.name && identifiers.length === 0) return null;
+
+  return `Banned by ${admin.name || 'unknown admin'}${
+    identifiers.length > 0 ? ` (${identifiers.join(', ')})` : ''
+  }`;
+}
+
+// Fetches Squad style remote ban lists, i.e. Bans.cfg files. See ./squad-ban-file-parser.js for
+// the format.
+export default {
+  type: 'remote',
+
+  validateSource(source) {
+    validateURL(source);
+  },
+
+  async fetch(banList, storeBans, options) {
+    const response = await fetchURL(banList, options);
+    if (response.notModified) return response;
+
+    const { bans, errors } = parseSquadBanFile(response.data);
+
+    if (errors.length > 0)
+      Logger.verbose(
+        'BanFetcher',
+        1,
+        `Skipped ${errors.length} malformed lines in ban list (ID: ${banList.id}): ${errors
+          .slice(0, MAX_LOGGED_ERRORS)
+          .map((error) => `line ${error.lineNumber}: "${error.line}"`)
+          .join(', ')}`
+      );
+
+    await storeBans(
+      bans.map((ban) =>
+        createImportedBan({
+          banList,
+          steamUser: ban.steamUser,
+          eosID: ban.eosID,
+          expires: ban.expires,
+          reason: ban.comment || '',
+          note: describeAdmin(ban.admin)
+        })
+      )
+    );
+
+    return {
+      state: { etag: response.etag, lastModified: response.lastModified },
+      warnings: errors.map((error) => `Line ${error.lineNumber}: ${error.message} "${error.line}"`)
+    };
+  }
+};
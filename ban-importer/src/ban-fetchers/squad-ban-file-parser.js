@@ -0,0 +1,79 @@
+/*
+ * Parser for the ban file format used by Squad and Post Scriptum servers (Bans.cfg). Each line of
+ * the file contains at most one ban in one of the following formats:
+ *   <Admin Name> [SteamID <Admin SteamID>] Banned:<ID>:<Expiry> //<Comment>
+ *   <Admin Name> [EOSID <Admin EOS ID>] Banned:<ID>:<Expiry> //<Comment>
+ *   <Admin Name> Banned:<ID>:<Expiry> //<Comment>
+ *   <ID>:<Expiry> //<Comment>
+ * where the ID is either a SteamID or an EOS ID, the expiry is a Unix timestamp, or 0 for permanent
+ * bans, and the comment is optional. Text before the ID in other formats is ignored. Blank lines
+ * and lines starting with "//" or "#" are ignored.
+ */
+const ID = '([0-9]{17}|[0-9a-fA-F]{32})';
+const EXPIRY = '([0-9]+)';
+const COMMENT = '(?:\\s*\\/\\/\\s*(.*?))?';
+
+const ADMIN_BAN_LINE = new RegExp(
+  `^(.*?)\\s*(?:\\[([^\\]]*)\\]\\s*)?Banned:${ID}:${EXPIRY}${COMMENT}\\s*$`
+);
+const BAN_LINE = new RegExp(`^(?:.*?[^0-9a-fA-F])?${ID}:${EXPIRY}${COMMENT}\\s*$`);
+
+function parseAdmin(name, identifiers) {
+  if (!name && !identifiers) return null;
+
+  const admin = { name: name || null, steamID: null, eosID: null };
+
+  // The identifiers are a comma separated list of "<Type> <ID>" pairs, e.g.
+  // "SteamID 76561198000000000".
+  for (const identifier of (identifiers || '').split(',')) {
+    const [type, id] = identifier.trim().split(/\s+/);
+    if (!type || !id) continue;
+    if (type.toLowerCase() === 'steamid') admin.steamID = id;
+    if (type.toLowerCase() === 'eosid') admin.eosID = id.toLowerCase();
+  }
+
+  return admin;
+}
+
+export default function parseSquadBanFile(data) {
+  const bans = [];
+  const errors = [];
+
+  data.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+
+    // Skip blank and comment lines.
+    if (line === '' || line.startsWith('//') || line.startsWith('#')) return;
+
+    let admin = null;
+    let id, expiry, comment;
+
+    let match = line.match(ADMIN_BAN_LINE);
+    if (match) {
+      let adminName, adminIdentifiers;
+      [, adminName, adminIdentifiers, id, expiry, comment] = match;
+      admin = parseAdmin(adminName, adminIdentifiers);
+    } else {
+      match = line.match(BAN_LINE);
+      if (!match) {
+        errors.push({ lineNumber, line, message: 'Line is not in a recognised ban format.' });
+        return;
+      }
+      [, id, expiry, comment] = match;
+    }
+
+    const timestamp = parseInt(expiry);
+
+    bans.push({
+      lineNumber,
+      steamUser: id.length === 17 ? id : null,
+      eosID: id.length === 17 ? null : id.toLowerCase(),
+      expires: timestamp ? new Date(timestamp * 1000) : null,
+      admin,
+      comment: comment || null
+    });
+  });
+
+  return { bans, errors };
+}
@@ -0,0 +1,84 @@
+import axios from 'axios';
+
+import { Logger } from 'scbl-lib/utils';
+
+const FETCH_RETRIES = 5;
+// Unix timestamps in seconds have had 9 digits or more since 1973.
+const MIN_TIMESTAMP_DIGITS = 9;
+
+export async function doSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function validateURL(source) {
+  let url;
+  try {
+    url = new URL(source);
+  } catch (err) {
+    throw new Error(`Invalid ban list source URL: ${source}`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol))
+    throw new Error(`Unsupported ban list source protocol: ${url.protocol}`);
+}
+
+// Fetches the ban list's source, or the given URL, returning { notModified: true } if it has not
+// changed since the cache validators stored on the ban list were issued. Full fetches ignore the
+// cache validators.
+export async function fetchURL(banList, { url = banList.source, fullFetch = false } = {}) {
+  Logger.verbose(
+    'BanFetcher',
+    2,
+    `Fetching remote ban list data for ban list (ID: ${banList.id})...`
+  );
+
+  const headers = {};
+  if (banList.etag && !fullFetch) headers['If-None-Match'] = banList.etag;
+  if (banList.lastModified && !fullFetch) headers['If-Modified-Since'] = banList.lastModified;
+
+  let retryCount = 0;
+  while (retryCount < FETCH_RETRIES) {
+    try {
+      // Always fetch as text so each fetcher can parse the body itself.
+      const response = await axios.get(url, {
+        headers,
+        responseType: 'text',
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+      });
+
+      if (response.status === 304) return { notModified: true };
+
+      return {
+        notModified: false,
+        data: response.data,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
+      };
+    } catch (err) {
+      Logger.verbose('BanFetcher', 1, `Failed to fetch ban list (ID: ${banList.id}): `, err);
+      if (err.response && err.response.status === 404) break;
+
+      retryCount++;
+      await doSleep(1000);
+    }
+  }
+
+  throw new Error(`Failed to fetch ban list data for ban list (ID: ${banList.id}).`);
+}
+
+export function parseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  // Numeric values are Unix timestamps, in seconds unless they are too large to be, and 0 for
+  // permanent bans. Shorter numbers, e.g. dates in the YYYYMMDD format, are not mistaken for them.
+  if (typeof value === 'number' || /^[0-9]+$/.test(value)) {
+    const timestamp = parseInt(value);
+    if (timestamp === 0) return null;
+    if (`${timestamp}`.length < MIN_TIMESTAMP_DIGITS) throw new Error(`Invalid date: ${value}`);
+    return new Date(timestamp < 1e12 ? timestamp * 1000 : timestamp);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+  return date;
+}
@@ -1,16 +1,45 @@
 import async from 'async';
+import Bottleneck from 'bottleneck';
 
-import { Ban, BanList, SteamUser } from 'scbl-lib/db/models';
+import { getBanAttributes, getBanChanges, removeBans, saveBan } from 'scbl-lib/db/bans';
+import {
+  Ban,
+  BanEvent,
+  BanList,
+  ClassificationRule,
+  EOSUser,
+  ExportBan,
+  ExportBanList,
+  ExportBanListConfig,
+  SteamUser
+} from 'scbl-lib/db/models';
 import { Op } from 'scbl-lib/db/sequelize';
 import { Logger } from 'scbl-lib/utils';
 
 import BanFetcher from './ban-fetcher.js';
+import ExportBanManager from './export-ban-manager.js';
 
 // Thank god for this function.
 
+// Deletions from a ban list are held for admin confirmation if they would remove more than this
+// percentage of its bans, and at least the minimum number of bans, in one run.
+const MAX_DELETION_PERCENTAGE = parseFloat(process.env.MAX_BAN_DELETION_PERCENTAGE || 25);
+const MIN_HELD_DELETIONS = parseInt(process.env.MIN_HELD_BAN_DELETIONS || 10);
+
+const REMOVAL_REASON = 'No longer in ban list';
+
+// Ban lists are fetched concurrently, up to these limits overall and per host.
+const MAX_CONCURRENT_FETCHES = parseInt(process.env.MAX_CONCURRENT_BAN_LIST_FETCHES || 4);
+const MAX_CONCURRENT_FETCHES_PER_HOST = parseInt(
+  process.env.MAX_CONCURRENT_BAN_LIST_FETCHES_PER_HOST || 1
+);
+
 const MAX_RETRIES = 5;
+const MAX_IMPORT_WARNINGS = 50;
 const RETRY_DELAY = 5000; // 5 seconds
 
+const DRY_RUN_EXPORT_BATCH_SIZE = 250;
+
 async function retryOperation(operation, retries = MAX_RETRIES) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
@@ -32,9 +61,14 @@ export default class BanImporter {
   constructor(options) {
     options = {
       workers: 2,
+      dryRun: false,
       ...options
     };
 
+    // Dry runs fetch every ban list and report what would change without writing anything.
+    this.dryRun = options.dryRun;
+    this.dryRunChanges = new Map();
+
     this.queueBan = this.queueBan.bind(this);
 
     this.saveBan = this.saveBan.bind(this);
@@ -42,25 +76,50 @@ export default class BanImporter {
 
     this.importedBanListIDs = new Set();
     this.importedBanIDs = [];
+    this.importedBanCounts = new Map();
+    this.unlinkedBanCounts = new Map();
+    this.failedBanListIDs = new Set();
+    this.linkedEOSIDs = new Map();
   }
 
   async queueBan(importedBans) {
     Logger.verbose('BanImporter', 2, `Queueing batch of ${importedBans.length} raw bans...`);
     if (importedBans.length === 0) return;
     try {
-      await retryOperation(() =>
-        SteamUser.bulkCreate(
-          importedBans.map((importedBan) => ({ id: importedBan.steamUser })),
-          { updateOnDuplicate: ['id'] }
-        )
-      );
+      const identifiedBans = importedBans.filter((importedBan) => importedBan.steamUser);
+      if (identifiedBans.length > 0 && !this.dryRun)
+        await retryOperation(() =>
+          SteamUser.bulkCreate(
+            identifiedBans.map((importedBan) => ({ id: importedBan.steamUser })),
+            { updateOnDuplicate: ['id'] }
+          )
+        );
 
-      for (const importedBan of importedBans) {
-        this.importedBanListIDs.add(importedBan.banList.id);
+      // Store the links between EOS IDs and SteamIDs found in the bans.
+      const linkedBans = identifiedBans.filter((importedBan) => importedBan.eosID);
+      for (const importedBan of linkedBans)
+        this.linkedEOSIDs.set(importedBan.eosID, importedBan.steamUser);
+      if (linkedBans.length > 0 && !this.dryRun)
+        await retryOperation(() =>
+          EOSUser.bulkCreate(
+            linkedBans.map((importedBan) => ({
+              id: importedBan.eosID,
+              steamUser: importedBan.steamUser
+            })),
+            { updateOnDuplicate: ['steamUser'] }
+          )
+        );
+
+      for (const importedBan of await this.resolveEOSIDs(importedBans)) {
         this.importedBanIDs.push(importedBan.id);
+        this.importedBanCounts.set(
+          importedBan.banList.id,
+          (this.importedBanCounts.get(importedBan.banList.id) || 0) + 1
+        );
         this.saveBanQueue.push(importedBan);
       }
     } catch (err) {
+      for (const importedBan of importedBans) this.failedBanListIDs.add(importedBan.banList.id);
       Logger.verbose(
         'BanImporter',
         1,
@@ -70,61 +129,55 @@ export default class BanImporter {
     }
   }
 
-  async saveBan(importedBan) {
-    try {
-      // Create or find the ban.
-      const [ban, created] = await retryOperation(() =>
-        Ban.findOrCreate({
-          where: {
-            id: importedBan.id
-          },
-          defaults: {
-            id: importedBan.id,
-            created: importedBan.created || Date.now(),
-            expires: importedBan.expires,
-            expired: importedBan.expired,
-            reason: importedBan.reason,
-            rawReason: importedBan.rawReason,
-            rawNote: importedBan.rawNote,
-            steamUser: importedBan.steamUser,
-            banList: importedBan.banList.id
-          }
-        })
+  async resolveEOSIDs(importedBans) {
+    // Find the bans that only identify the player by EOS ID.
+    const unresolvedBans = importedBans.filter((importedBan) => !importedBan.steamUser);
+    if (unresolvedBans.length === 0) return importedBans;
+
+    const eosUsers = await retryOperation(() =>
+      EOSUser.findAll({
+        where: { id: { [Op.in]: unresolvedBans.map((importedBan) => importedBan.eosID) } }
+      })
+    );
+    const steamUsers = new Map([
+      ...eosUsers.map((eosUser) => [eosUser.id, eosUser.steamUser]),
+      ...this.linkedEOSIDs
+    ]);
+
+    for (const importedBan of unresolvedBans)
+      importedBan.steamUser = steamUsers.get(importedBan.eosID) || null;
+
+    // Bans for EOS IDs we cannot link to a Steam user yet are skipped until we can, and counted in
+    // the import status of their ban list.
+    const skippedBans = unresolvedBans.filter((importedBan) => !importedBan.steamUser);
+    for (const importedBan of skippedBans)
+      this.unlinkedBanCounts.set(
+        importedBan.banList.id,
+        (this.unlinkedBanCounts.get(importedBan.banList.id) || 0) + 1
+      );
+    if (skippedBans.length > 0)
+      Logger.verbose(
+        'BanImporter',
+        2,
+        `Skipped ${skippedBans.length} raw bans with EOS IDs not yet linked to a Steam user.`
       );
 
-      // Queue the Steam user for an update if the ban is new or the ban expired status has changed.
-      if (created || ban.expired !== importedBan.expired) {
+    return importedBans.filter((importedBan) => importedBan.steamUser);
+  }
+
+  async saveBan(importedBan) {
+    if (this.dryRun) return this.diffBan(importedBan);
+
+    try {
+      const { invalidated } = await saveBan(importedBan, retryOperation);
+      if (invalidated)
         Logger.verbose(
           'BanImporter',
           2,
           `Found new or updated ban (ID: ${importedBan.id}) in ban list (ID: ${importedBan.banList.id}).`
         );
-        await retryOperation(() =>
-          SteamUser.update(
-            {
-              lastRefreshedExport: null,
-              lastRefreshedReputationPoints: null,
-              lastRefreshedReputationRank: null
-            },
-            {
-              where: { id: importedBan.steamUser }
-            }
-          )
-        );
-      }
-
-      // If it's created there's no need to update the information.
-      if (created) return;
-
-      // Update the information.
-      ban.expires = importedBan.expires;
-      ban.expired = importedBan.expired;
-      ban.reason = importedBan.reason;
-      ban.rawReason = importedBan.rawReason;
-      ban.rawNote = importedBan.rawNote;
-      // Save the updated information.
-      await retryOperation(() => ban.save());
     } catch (err) {
+      this.failedBanListIDs.add(importedBan.banList.id);
       Logger.verbose(
         'BanImporter',
         1,
@@ -134,13 +187,355 @@ export default class BanImporter {
     }
   }
 
-  async importBans() {
+  async diffBan(importedBan) {
+    try {
+      const ban = await retryOperation(() => Ban.findByPk(importedBan.id));
+
+      if (!this.dryRunChanges.has(importedBan.banList.id))
+        this.dryRunChanges.set(importedBan.banList.id, { newBans: [], updatedBans: [] });
+      const changes = this.dryRunChanges.get(importedBan.banList.id);
+
+      if (!ban) changes.newBans.push(importedBan);
+      else if (
+        getBanChanges(ban, importedBan).length > 0 ||
+        (ban.rawNote || null) !== (importedBan.rawNote || null)
+      )
+        changes.updatedBans.push(importedBan);
+    } catch (err) {
+      Logger.verbose(
+        'BanImporter',
+        1,
+        `Failed to compare raw ban (ID: ${importedBan.id}) in ban list (ID: ${importedBan.banList.id}): `,
+        err
+      );
+    }
+  }
+
+  async refreshExpiredBans(banList) {
+    // Bans not fetched in this import are not re-saved, so mark any that have expired since.
+    const where = {
+      banList: banList.id,
+      expired: false,
+      expires: { [Op.lte]: new Date() },
+      removedAt: null
+    };
+
+    const expiredBans = await retryOperation(() =>
+      Ban.findAll({ attributes: ['id', 'steamUser', 'banList'], where })
+    );
+    if (expiredBans.length === 0) return;
+
+    await retryOperation(() => Ban.update({ expired: true }, { where }));
+    await retryOperation(() =>
+      BanEvent.bulkCreate(
+        expiredBans.map((expiredBan) => ({
+          ban: expiredBan.id,
+          type: 'LIFTED',
+          steamUser: expiredBan.steamUser,
+          banList: expiredBan.banList
+        }))
+      )
+    );
+    await retryOperation(() =>
+      SteamUser.update(
+        {
+          lastRefreshedExport: null,
+          lastRefreshedReputationPoints: null,
+          lastRefreshedReputationRank: null
+        },
+        {
+          where: { id: { [Op.in]: expiredBans.map((expiredBan) => expiredBan.steamUser) } }
+        }
+      )
+    );
+  }
+
+  async updateImportStatus(banList, { attempted, result, error }) {
+    banList.lastImportAttempted = attempted;
+
+    if (error) {
+      banList.importFailureCount = (banList.importFailureCount || 0) + 1;
+      banList.lastImportError = error.message;
+    } else {
+      banList.lastImported = attempted;
+      banList.importFailureCount = 0;
+      banList.lastImportError = null;
+
+      // Conditional and incremental fetches would skip bans that failed to save, so the state is
+      // only stored once every ban was saved and the list is otherwise fetched in full next time.
+      if (!this.failedBanListIDs.has(banList.id)) Object.assign(banList, result.state);
+
+      // Lists are also fetched in full while they have bans for unlinked EOS IDs, so those bans are
+      // imported once the EOS IDs are linked rather than when the list next changes.
+      if (this.failedBanListIDs.has(banList.id) || this.unlinkedBanCounts.get(banList.id) > 0) {
+        banList.etag = null;
+        banList.lastModified = null;
+      }
+
+      // Unchanged lists keep the status of the import that last fetched them.
+      if (!result.notModified) {
+        banList.lastImportBanCount = this.importedBanCounts.get(banList.id) || 0;
+        banList.lastImportUnlinkedBanCount = this.unlinkedBanCounts.get(banList.id) || 0;
+        banList.lastImportWarnings = (result.warnings || []).slice(0, MAX_IMPORT_WARNINGS);
+      }
+    }
+
+    await retryOperation(() => banList.save());
+  }
+
+  isDeletionSafeguardTripped(banList, deletedCount, banCount) {
+    const maxDeletionPercentage =
+      banList.maxDeletionPercentage == null
+        ? MAX_DELETION_PERCENTAGE
+        : banList.maxDeletionPercentage;
+
+    return (
+      deletedCount >= MIN_HELD_DELETIONS &&
+      (deletedCount / Math.max(banCount, 1)) * 100 > maxDeletionPercentage
+    );
+  }
+
+  areDeletionsConfirmed(banList, deletedCount) {
+    return banList.confirmedDeletionCount != null && deletedCount <= banList.confirmedDeletionCount;
+  }
+
+  async checkDeletionSafeguard(banList, deletedCount) {
+    const banCount = await retryOperation(() =>
+      Ban.count({ where: { banList: banList.id, removedAt: null } })
+    );
+    const tripped = this.isDeletionSafeguardTripped(banList, deletedCount, banCount);
+
+    if (tripped && !this.areDeletionsConfirmed(banList, deletedCount)) {
+      Logger.verbose(
+        'BanImporter',
+        1,
+        `Holding deletion of ${deletedCount} of ${banCount} bans from ban list ${banList.id} for admin confirmation.`
+      );
+
+      banList.heldDeletionCount = deletedCount;
+      if (!banList.deletionsHeldSince) banList.deletionsHeldSince = new Date();
+      await retryOperation(() => banList.save());
+
+      return false;
+    }
+
+    if (tripped)
+      Logger.verbose(
+        'BanImporter',
+        1,
+        `Deleting ${deletedCount} of ${banCount} bans from ban list ${banList.id} as confirmed by an admin.`
+      );
+
+    // Confirmations only apply to the run that acts on them.
+    banList.heldDeletionCount = null;
+    banList.deletionsHeldSince = null;
+    banList.confirmedDeletionCount = null;
+    await retryOperation(() => banList.save());
+
+    return true;
+  }
+
+  // Bans are only deleted from lists that were fetched in full and had every ban queued and saved,
+  // as bans that failed to be queued would otherwise look deleted.
+  canDeleteBans(banListID) {
+    return this.importedBanListIDs.has(banListID) && !this.failedBanListIDs.has(banListID);
+  }
+
+  async findDeletedBans() {
+    Logger.verbose('BanImporter', 2, 'Getting deleted bans...');
+    const deletedBans = await retryOperation(() =>
+      Ban.findAll({
+        attributes: ['id', 'steamUser', 'banList'],
+        where: {
+          id: { [Op.notIn]: this.importedBanIDs },
+          banList: {
+            [Op.in]: [...this.importedBanListIDs].filter((id) => this.canDeleteBans(id))
+          },
+          removedAt: null
+        }
+      })
+    );
+    Logger.verbose('BanImporter', 1, `Got ${deletedBans.length} deleted bans`);
+
+    return deletedBans;
+  }
+
+  async previewExportBanChanges(changedBans, removedBans) {
+    const steamUserIDs = [...new Set([...changedBans, ...removedBans].map((ban) => ban.steamUser))];
+    const exportBanChanges = new Map();
+    if (steamUserIDs.length === 0) return exportBanChanges;
+
+    // The export bans are calculated in memory from the stored bans with the changes applied, so
+    // nothing is written to, or locked in, the database.
+    const banLists = await BanList.findAll({ attributes: ['id', 'game'] });
+    const games = new Map(banLists.map((banList) => [banList.id, banList.game]));
+    const exportBanLists = await ExportBanList.findAll();
+    const exportBanListConfigs = await ExportBanListConfig.findAll();
+
+    const changedBansByID = new Map(
+      changedBans.map((importedBan) => [importedBan.id, getBanAttributes(importedBan)])
+    );
+    const removedBanIDs = new Set(removedBans.map((ban) => ban.id));
+
+    for (let i = 0; i < steamUserIDs.length; i += DRY_RUN_EXPORT_BATCH_SIZE) {
+      const batch = steamUserIDs.slice(i, i + DRY_RUN_EXPORT_BATCH_SIZE);
+      const batchIDs = new Set(batch);
+
+      const storedBans = await Ban.findAll({
+        attributes: ['id', 'steamUser', 'banList', 'created', 'expires', 'expired'],
+        where: { steamUser: { [Op.in]: batch }, removedAt: null },
+        raw: true
+      });
+      const bans = [
+        ...storedBans.filter((ban) => !changedBansByID.has(ban.id) && !removedBanIDs.has(ban.id)),
+        ...[...changedBansByID.values()].filter((ban) => batchIDs.has(ban.steamUser))
+      ].map((ban) => ({ ...ban, game: games.get(ban.banList) }));
+
+      const generatedBans = ExportBanManager.calculateExportBans(
+        bans,
+        exportBanLists,
+        exportBanListConfigs
+      );
+      const existingBans = await ExportBan.findAll({
+        attributes: ['id', 'exportBanList'],
+        where: {
+          steamUser: { [Op.in]: batch },
+          status: { [Op.in]: ['TO_BE_CREATED', 'CREATED'] }
+        }
+      });
+
+      const generatedIDs = new Set(generatedBans.map((generatedBan) => generatedBan.id));
+      const existingIDs = new Set(existingBans.map((existingBan) => existingBan.id));
+
+      const tally = (exportBanList, key) => {
+        if (!exportBanChanges.has(exportBanList))
+          exportBanChanges.set(exportBanList, { additions: 0, removals: 0 });
+        exportBanChanges.get(exportBanList)[key]++;
+      };
+      for (const generatedBan of generatedBans)
+        if (!existingIDs.has(generatedBan.id)) tally(generatedBan.exportBanList, 'additions');
+      for (const existingBan of existingBans)
+        if (!generatedIDs.has(existingBan.id)) tally(existingBan.exportBanList, 'removals');
+    }
+
+    return exportBanChanges;
+  }
+
+  async reportDryRun(banLists, importResults) {
+    const deletedBans = await this.findDeletedBans();
+
+    const report = { banLists: [], exportBanLists: [] };
+    const changedBans = [];
+    const removedBans = [];
+
+    for (const banList of banLists) {
+      const { result, error } = importResults.get(banList.id);
+      const { newBans, updatedBans } = this.dryRunChanges.get(banList.id) || {
+        newBans: [],
+        updatedBans: []
+      };
+      const listDeletedBans = deletedBans.filter((deletedBan) => deletedBan.banList === banList.id);
+
+      let deletionsHeld = false;
+      if (listDeletedBans.length > 0) {
+        const banCount = await retryOperation(() =>
+          Ban.count({ where: { banList: banList.id, removedAt: null } })
+        );
+        deletionsHeld =
+          this.isDeletionSafeguardTripped(banList, listDeletedBans.length, banCount) &&
+          !this.areDeletionsConfirmed(banList, listDeletedBans.length);
+      }
+
+      changedBans.push(...newBans, ...updatedBans);
+      if (!deletionsHeld) removedBans.push(...listDeletedBans);
+
+      report.banLists.push({
+        id: banList.id,
+        name: banList.name,
+        error: error ? error.message : null,
+        notModified: result ? result.notModified : false,
+        newBans: newBans.length,
+        updatedBans: updatedBans.length,
+        removedBans: listDeletedBans.length,
+        deletionsHeld
+      });
+    }
+
+    Logger.verbose('BanImporter', 2, 'Previewing export ban changes...');
+    const exportBanChanges = await this.previewExportBanChanges(changedBans, removedBans);
+    const exportBanLists = await ExportBanList.findAll({
+      attributes: ['id', 'name'],
+      where: { id: { [Op.in]: [...exportBanChanges.keys()] } }
+    });
+    for (const exportBanList of exportBanLists)
+      report.exportBanLists.push({
+        id: exportBanList.id,
+        name: exportBanList.name,
+        ...exportBanChanges.get(exportBanList.id)
+      });
+
+    const lines = ['Dry run complete. Nothing was written to the database.', 'Ban lists:'];
+    for (const banList of report.banLists) {
+      let summary;
+      if (banList.error) summary = `failed to import: ${banList.error}`;
+      else if (banList.notModified) summary = 'not modified';
+      else
+        summary = `${banList.newBans} new, ${banList.updatedBans} updated, ${
+          banList.removedBans
+        } removed${banList.deletionsHeld ? ' (removals would be held by the safeguard)' : ''}`;
+      lines.push(`  ${banList.name} (ID: ${banList.id}): ${summary}`);
+    }
+    lines.push('Export ban lists:');
+    for (const exportBanList of report.exportBanLists)
+      lines.push(
+        `  ${exportBanList.name} (ID: ${exportBanList.id}): ${exportBanList.additions} additions, ${exportBanList.removals} removals`
+      );
+    if (report.exportBanLists.length === 0) lines.push('  No changes.');
+    Logger.verbose('BanImporter', 1, lines.join('\n'));
+
+    return report;
+  }
+
+  async fetchBanList(fetcher, banList, importResults) {
+    const attempted = new Date();
+    try {
+      // Fetchers retry their own requests. Retrying the whole fetch would queue the bans that were
+      // already fetched again.
+      const result = await fetcher.fetchBanList(banList);
+      importResults.set(banList.id, { attempted, result });
+
+      if (result.notModified)
+        Logger.verbose('BanImporter', 2, `Ban list ${banList.id} has not changed. Skipping...`);
+
+      // Only bans missing from lists that were fetched in full are deleted below, so unchanged,
+      // partially fetched and failed lists keep their existing bans.
+      if (result.complete) this.importedBanListIDs.add(banList.id);
+      else if (!this.dryRun) await this.refreshExpiredBans(banList);
+    } catch (err) {
+      importResults.set(banList.id, { attempted, error: err });
+      Logger.verbose('BanImporter', 1, `Failed to import ban list ${banList.id}: `, err);
+    }
+  }
+
+  async importBans(options = {}) {
     const profileStartTime = Date.now();
     Logger.verbose('BanImporter', 2, 'Fetching ban lists to import...');
-    const banLists = await retryOperation(() => BanList.findAll());
+    const banLists = await retryOperation(() =>
+      BanList.findAll({
+        where: {
+          ...(options.banListIDs && { id: { [Op.in]: options.banListIDs } }),
+          ...(options.types && { type: { [Op.in]: options.types } })
+        }
+      })
+    );
     Logger.verbose('BanImporter', 2, `Fetched ${banLists.length} ban lists to import.`);
 
-    const fetcher = new BanFetcher(this.queueBan);
+    // Classify the imported bans with the live rules, as they may have changed since we connected.
+    Logger.verbose('BanImporter', 2, 'Reloading the ban reason classification rules...');
+    await retryOperation(() => ClassificationRule.load());
+
+    // Dry runs fetch every ban list in full so unchanged lists are compared too.
+    const fetcher = new BanFetcher(this.queueBan, { fullFetch: this.dryRun });
 
     Logger.verbose('BanImporter', 2, 'Fetching ban lists...');
     const myProgressBar = await Logger.discordProgressBar(
@@ -152,68 +547,88 @@ export default class BanImporter {
       0
     );
 
+    // BattleMetrics ban lists are also limited by the shared battlemetrics() rate limiter.
+    const fetchLimiter = new Bottleneck({ maxConcurrent: MAX_CONCURRENT_FETCHES });
+    const hostLimiters = new Bottleneck.Group({ maxConcurrent: MAX_CONCURRENT_FETCHES_PER_HOST });
+
     let currentList = 0;
+    const importResults = new Map();
+    await Promise.all(
+      banLists.map(async (banList) => {
+        await hostLimiters
+          .key(fetcher.getHost(banList))
+          .schedule(() =>
+            fetchLimiter.schedule(() => this.fetchBanList(fetcher, banList, importResults))
+          );
+
+        currentList++;
+        Logger.discordProgressBar(
+          'BanImporter',
+          `Fetching ${banLists.length} Ban Lists...`,
+          myProgressBar,
+          0,
+          banLists.length,
+          currentList
+        );
+      })
+    );
+
+    Logger.verbose('BanImporter', 2, 'Waiting for bans to be saved...');
+    if (!this.saveBanQueue.idle()) await this.saveBanQueue.drain();
+    console.log(`Finished Drain after ${((Date.now() - profileStartTime) / 1000).toFixed(2)}s`);
+
+    if (this.dryRun) return this.reportDryRun(banLists, importResults);
+
+    Logger.verbose('BanImporter', 2, 'Updating import status of ban lists...');
     for (const banList of banLists) {
       try {
-        await retryOperation(() => fetcher.fetchBanList(banList));
+        await this.updateImportStatus(banList, importResults.get(banList.id));
       } catch (err) {
-        Logger.verbose('BanImporter', 1, `Failed to import ban list ${banList.id}: `, err);
+        Logger.verbose(
+          'BanImporter',
+          1,
+          `Failed to update import status of ban list ${banList.id}: `,
+          err
+        );
       }
-      currentList++;
-      Logger.discordProgressBar(
-        'BanImporter',
-        `Fetching ${banLists.length} Ban Lists...`,
-        myProgressBar,
-        0,
-        banLists.length,
-        currentList
-      );
     }
 
-    Logger.verbose('BanImporter', 2, 'Waiting for bans to be saved...');
-    await this.saveBanQueue.drain(() => {
-      console.log(`Finished Drain after ${((Date.now() - profileStartTime) / 1000).toFixed(2)}s`);
-    });
+    const deletedBans = await this.findDeletedBans();
 
-    Logger.verbose('BanImporter', 2, 'Getting deleted bans...');
-    const deletedBans = await retryOperation(() =>
-      Ban.findAll({
-        attributes: ['steamUser'],
-        where: {
-          id: { [Op.notIn]: this.importedBanIDs },
-          banList: { [Op.in]: [...this.importedBanListIDs] }
-        }
-      })
-    );
-    Logger.verbose('BanImporter', 1, `Got ${deletedBans.length} deleted bans`);
+    Logger.verbose('BanImporter', 2, 'Checking deleted bans against the deletion safeguard...');
+    const deletableBanListIDs = [];
+    for (const banList of banLists) {
+      if (!this.canDeleteBans(banList.id)) continue;
 
-    Logger.verbose('BanImporter', 2, 'Queuing Steams for update from deleted bans...');
-    await retryOperation(() =>
-      SteamUser.update(
-        {
-          lastRefreshedInfo: null,
-          lastRefreshedExport: null,
-          lastRefreshedReputationPoints: null,
-          lastRefreshedReputationRank: null
-        },
-        {
-          where: {
-            id: {
-              [Op.in]: deletedBans.map((deletedBan) => deletedBan.steamUser)
-            }
-          }
-        }
-      )
+      const deletedCount = deletedBans.filter(
+        (deletedBan) => deletedBan.banList === banList.id
+      ).length;
+
+      try {
+        if (await this.checkDeletionSafeguard(banList, deletedCount))
+          deletableBanListIDs.push(banList.id);
+      } catch (err) {
+        Logger.verbose(
+          'BanImporter',
+          1,
+          `Failed to check deletion safeguard of ban list ${banList.id}: `,
+          err
+        );
+      }
+    }
+
+    const removedBans = deletedBans.filter((deletedBan) =>
+      deletableBanListIDs.includes(deletedBan.banList)
     );
 
-    Logger.verbose('BanImporter', 2, 'Deleting deleted bans...');
-    await retryOperation(() =>
-      Ban.destroy({
-        where: {
-          id: { [Op.notIn]: this.importedBanIDs },
-          banList: { [Op.in]: [...this.importedBanListIDs] }
-        }
+    Logger.verbose('BanImporter', 2, 'Removing deleted bans...');
+    await removeBans(removedBans, REMOVAL_REASON, retryOperation);
+
+    return {
+      banLists: banLists.map((banList) => {
+        const { error } = importResults.get(banList.id);
+        return { id: banList.id, name: banList.name, error: error ? error.message : null };
       })
-    );
+    };
   }
 }
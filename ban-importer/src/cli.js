@@ -0,0 +1,203 @@
+import { describeReclassification, inferReasonCategories, reclassifyBans } from 'scbl-lib/db/bans';
+import { EOSUser, SteamUser } from 'scbl-lib/db/models';
+import { isEOSID, isSteamID, Logger } from 'scbl-lib/utils';
+
+import Core from './core.js';
+
+import BanImporter from './ban-importer.js';
+import ExportBanManager from './export-ban-manager.js';
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1, // The command threw an error.
+  USAGE: 2, // The command line arguments are invalid.
+  IMPORT_FAILED: 3, // The command ran, but at least one ban list failed to import.
+  NOT_FOUND: 4 // The requested ban list or player does not exist.
+};
+
+export const USAGE = `Usage: node ban-importer/index.js [command] [options]
+
+Commands:
+  all                    Run every task: import, re-classify, infer, Steam info, reputation and
+                         export. (default)
+  import                 Import ban lists only.
+  reclassify             Re-classify bans classified with older classification rules.
+  infer                  Suggest reason categories for bans that no classification rule matches.
+  battlemetrics          Sync only the BattleMetrics ban lists.
+  player <id>            Refresh one player's Steam info, reputation points and export bans by
+                         SteamID or EOS ID.
+  reputation             Update reputation points and ranks, and snapshot them.
+  export                 Update export bans and export them to BattleMetrics.
+  help                   Show this message.
+
+Options:
+  --ban-list <id>        Only import the ban list with this ID. May be repeated. (import only)
+  --dry-run              Report what importing would change without writing anything or running
+                         the other tasks. (all, import, battlemetrics only)
+
+Exit codes:
+  0  Success.
+  1  The command failed.
+  2  Invalid arguments.
+  3  At least one ban list failed to import.
+  4  The ban list or player was not found.`;
+
+const COMMANDS = [
+  'all',
+  'import',
+  'reclassify',
+  'infer',
+  'battlemetrics',
+  'player',
+  'reputation',
+  'export',
+  'help'
+];
+
+// Parses the command line arguments into a command. Throws if they are invalid.
+export function parseArgs(args) {
+  const command = { name: null, banListIDs: null, dryRun: false, playerID: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      command.name = 'help';
+    } else if (arg === '--dry-run') {
+      command.dryRun = true;
+    } else if (arg === '--ban-list' || arg.startsWith('--ban-list=')) {
+      const value = arg === '--ban-list' ? args[++i] : arg.slice('--ban-list='.length);
+      if (!value || !/^[0-9]+$/.test(value)) throw new Error('--ban-list requires a ban list ID.');
+
+      command.banListIDs = [...(command.banListIDs || []), parseInt(value)];
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!command.name) {
+      if (!COMMANDS.includes(arg)) throw new Error(`Unknown command: ${arg}`);
+      command.name = arg;
+    } else if (command.name === 'player' && !command.playerID) {
+      command.playerID = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  command.name = command.name || 'all';
+
+  if (command.banListIDs && command.name !== 'import')
+    throw new Error('--ban-list can only be used with the import command.');
+  if (command.dryRun && !['all', 'import', 'battlemetrics'].includes(command.name))
+    throw new Error('--dry-run can only be used with the all, import and battlemetrics commands.');
+  if (command.name === 'player' && !isSteamID(command.playerID) && !isEOSID(command.playerID))
+    throw new Error('The player command requires a SteamID or EOS ID.');
+
+  return command;
+}
+
+async function importBans(options) {
+  const importer = new BanImporter({ dryRun: options.dryRun });
+  const { banLists } = await importer.importBans(options);
+
+  if (options.types && banLists.length === 0) {
+    Logger.verbose('CLI', 1, `No ${options.types.join(', ')} ban lists found to import.`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  if (options.banListIDs) {
+    const missingIDs = options.banListIDs.filter((id) => !banLists.some((list) => list.id === id));
+    if (missingIDs.length > 0) {
+      Logger.verbose('CLI', 1, `Ban lists not found: ${missingIDs.join(', ')}`);
+      return EXIT_CODES.NOT_FOUND;
+    }
+  }
+
+  return banLists.some((banList) => banList.error) ? EXIT_CODES.IMPORT_FAILED : EXIT_CODES.SUCCESS;
+}
+
+async function reclassify() {
+  const report = await reclassifyBans();
+  Logger.verbose('CLI', 1, `Finished re-classifying bans.\n${describeReclassification(report)}`);
+}
+
+async function inferReasons() {
+  const { trained, checked, inferred } = await inferReasonCategories();
+  Logger.verbose(
+    'CLI',
+    1,
+    `Finished inferring reason categories. Trained on ${trained} bans and inferred categories for ${inferred} of ${checked} bans with an unknown reason.`
+  );
+}
+
+async function updateReputation() {
+  await Core.clearOrphanedUsers();
+  await Core.updateReputationPoints();
+  await Core.updateReputationRank();
+  await Core.snapshotReputation();
+}
+
+async function updateExports(steamUserIDs) {
+  await ExportBanManager.updateExportBans(steamUserIDs);
+  await Core.exportExportBans();
+}
+
+async function refreshPlayer(id) {
+  // Allow players to be refreshed by their EOS ID.
+  const eosUser = isEOSID(id) ? await EOSUser.findByPk(id.toLowerCase()) : null;
+  const user = await SteamUser.findByPk(eosUser ? eosUser.steamUser : id);
+  if (!user) {
+    Logger.verbose('CLI', 1, `Player ${id} not found.`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  // Mark the player's reputation as outdated so only their points are recalculated. Their rank and
+  // snapshot are left to the reputation command, which updates every player.
+  user.lastRefreshedReputationPoints = null;
+  user.lastRefreshedReputationRank = null;
+  await user.save();
+
+  await Core.updateSteamUserInfo([user.id]);
+  await Core.updateReputationPoints([user.id]);
+  await updateExports([user.id]);
+
+  return EXIT_CODES.SUCCESS;
+}
+
+// Runs a command parsed by parseArgs and returns the exit code.
+export async function runCommand(command) {
+  switch (command.name) {
+    case 'battlemetrics':
+      return importBans({ types: ['battlemetrics'], dryRun: command.dryRun });
+    case 'player':
+      return refreshPlayer(command.playerID);
+    case 'reclassify':
+      await reclassify();
+      return EXIT_CODES.SUCCESS;
+    case 'infer':
+      await inferReasons();
+      return EXIT_CODES.SUCCESS;
+    case 'reputation':
+      await updateReputation();
+      return EXIT_CODES.SUCCESS;
+    case 'export':
+      await updateExports();
+      return EXIT_CODES.SUCCESS;
+    case 'import':
+      return importBans({ banListIDs: command.banListIDs, dryRun: command.dryRun });
+    case 'all': {
+      const exitCode = await importBans({ dryRun: command.dryRun });
+      if (command.dryRun) return exitCode;
+
+      await reclassify();
+      await inferReasons();
+
+      // TODO: Updating Steam user info is causing random hangs; Try ading more debug code until we can find out what causes it.
+      await Core.updateSteamUserInfo();
+      await updateReputation();
+      await updateExports();
+
+      return exitCode;
+    }
+    default:
+      throw new Error(`Unknown command: ${command.name}`);
+  }
+}
@@ -2,13 +2,14 @@ import { steam } from 'scbl-lib/apis';
 import { sequelize } from 'scbl-lib/db';
 import { ExportBan, ExportBanList, SteamUser } from 'scbl-lib/db/models';
 import { Op } from 'scbl-lib/db/sequelize';
-import { createDiscordWebhookMessage, Logger } from 'scbl-lib/utils';
+import { createDiscordWebhookMessage, getReputationFormula, Logger } from 'scbl-lib/utils';
 import { HOST } from 'scbl-lib/config';
 
 const UPDATE_STEAM_USER_INFO_REFRESH_INTERVAL = 7 * 24 * 60 * 60 * 1000;
 const UPDATE_STEAM_USER_INFO_BATCH_SIZE = 50;
 const UPDATE_STEAM_USER_INFO_BATCH_TIMEOUT = 50000;
 const DISCORD_ALERT_CAP = 50;
+const DECAYED_REPUTATION_REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
 
 async function withTimeout(promise) {
   const myError = new Error(`timeout`);
@@ -24,21 +25,24 @@ async function doSleep(ms) {
 }
 
 export default class Core {
-  static async updateSteamUserInfo() {
+  static async updateSteamUserInfo(steamUserIDs) {
     Logger.verbose('Core', 2, 'Fetching Steam users to update...');
     const profileStartTime = Date.now();
+    // Specific Steam users are updated regardless of when they were last refreshed.
     const users = await SteamUser.findAll({
       attributes: ['id'],
-      where: {
-        [Op.or]: [
-          { lastRefreshedInfo: null },
-          {
-            lastRefreshedInfo: {
-              [Op.lt]: new Date(new Date() - UPDATE_STEAM_USER_INFO_REFRESH_INTERVAL)
-            }
+      where: steamUserIDs
+        ? { id: { [Op.in]: steamUserIDs } }
+        : {
+            [Op.or]: [
+              { lastRefreshedInfo: null },
+              {
+                lastRefreshedInfo: {
+                  [Op.lt]: new Date(new Date() - UPDATE_STEAM_USER_INFO_REFRESH_INTERVAL)
+                }
+              }
+            ]
           }
-        ]
-      }
     });
 
     Logger.verbose('Core', 2, `Updating ${users.length} Steam users...`);
@@ -133,13 +137,19 @@ export default class Core {
       id IN (
         SELECT id FROM (
           SELECT id FROM SteamUsers where id NOT IN (
-            SELECT steamUser from Bans
+            SELECT steamUser from Bans WHERE removedAt IS NULL
             )
              and reputationPoints > 0 and isSCBLUser is not null
           ) as X
         )`,
       { type: sequelize.QueryTypes.BULKUPDATE }
     );
+    await sequelize.query(
+      `DELETE FROM GameReputations WHERE steamUser NOT IN (
+        SELECT steamUser FROM Bans WHERE removedAt IS NULL
+      )`,
+      { type: sequelize.QueryTypes.DELETE }
+    );
     Logger.verbose(
       'Core',
       1,
@@ -150,16 +160,162 @@ export default class Core {
     );
   }
 
-  static async updateReputationPoints() {
+  static async updateReputationPoints(steamUserIDs = null) {
     Logger.verbose('Core', 2, 'Updating reputation points of outdated Steam users...');
     const profileStartTime = Date.now();
+
+    // Steam users whose points were calculated by an older version of the formula are also outdated.
+    // With a half-life, the points of expired bans halve every half-life days after they expired, and
+    // the total is rounded. As decayed points change over time, they are recalculated daily.
+    const { version, activeBanListPoints, expiredBanPoints, expiredBanHalfLife } =
+      getReputationFormula();
+    const replacements = {
+      version,
+      activeBanListPoints,
+      expiredBanPoints,
+      expiredBanHalfLife,
+      decayRefreshedBefore: new Date(Date.now() - DECAYED_REPUTATION_REFRESH_INTERVAL),
+      steamUserIDs
+    };
+
+    // Only the given Steam users are updated, if any, e.g. when refreshing a single player.
+    const steamUserFilter = steamUserIDs ? 'AND SU.id IN (:steamUserIDs)' : '';
+    const banFilter = steamUserIDs ? 'AND B.steamUser IN (:steamUserIDs)' : '';
+
+    // Per game reputation is calculated the same way as overall reputation, but only from the bans on
+    // ban lists of each game. It must be updated before the Steam users are marked as refreshed.
+    await sequelize.query(
+      `
+        DELETE GR FROM GameReputations GR
+        JOIN SteamUsers SU ON GR.steamUser = SU.id
+        WHERE (
+          SU.lastRefreshedReputationPoints IS NULL
+          OR NOT SU.reputationFormulaVersion <=> :version
+          OR (:expiredBanHalfLife > 0 AND SU.lastRefreshedReputationPoints < :decayRefreshedBefore)
+        ) ${steamUserFilter}
+      `,
+      { type: sequelize.QueryTypes.DELETE, replacements }
+    );
+    await sequelize.query(
+      `
+        INSERT INTO GameReputations (
+          id,
+          steamUser,
+          game,
+          reputationPoints,
+          reputationPointsMonthBefore,
+          reputationPointsMonthChange,
+          lastRefreshedReputationPoints,
+          reputationFormulaVersion,
+          createdAt,
+          updatedAt
+        )
+        SELECT
+          CONCAT(PPBLC.steamUser, ",", PPBLC.game),
+          PPBLC.steamUser,
+          PPBLC.game,
+          PPBLC.points,
+          IFNULL(PPBLMB.points, 0),
+          PPBLC.points - IFNULL(PPBLMB.points, 0),
+          NOW(),
+          :version,
+          NOW(),
+          NOW()
+        FROM (
+          SELECT
+            PPBL.steamUser,
+            PPBL.game,
+            ROUND(SUM(PPBL.points)) AS "points"
+          FROM (
+            SELECT
+              B.steamUser,
+              BL.game,
+              IF(
+                SUM(
+                  IF(
+                    B.expires IS NULL OR B.expires >= NOW(),
+                    1,
+                    0
+                  )
+                ) > 0,
+                :activeBanListPoints,
+                0
+              ) +
+              SUM(
+                IF(
+                  B.expires IS NULL OR B.expires >= NOW(),
+                  0,
+                  :expiredBanPoints *
+                    IF(
+                      :expiredBanHalfLife = 0,
+                      1,
+                      POW(0.5, DATEDIFF(NOW(), B.expires) / :expiredBanHalfLife)
+                    )
+                )
+              ) AS "points"
+            FROM Bans B
+            JOIN BanLists BL ON B.banList = BL.id
+            WHERE B.removedAt IS NULL ${banFilter}
+            GROUP BY B.banList, B.steamUser
+          ) PPBL
+          GROUP BY PPBL.steamUser, PPBL.game
+        ) PPBLC
+        LEFT JOIN (
+          SELECT
+            PPBL.steamUser,
+            PPBL.game,
+            ROUND(SUM(PPBL.points)) AS "points"
+          FROM (
+            SELECT
+              B.steamUser,
+              BL.game,
+              IF(
+                SUM(
+                  IF(
+                    B.expires IS NULL OR B.expires >= NOW() - INTERVAL 1 MONTH,
+                    1,
+                    0
+                  )
+                ) > 0,
+                :activeBanListPoints,
+                0
+              ) +
+              SUM(
+                IF(
+                  B.expires IS NULL OR B.expires >= NOW() - INTERVAL 1 MONTH,
+                  0,
+                  :expiredBanPoints *
+                    IF(
+                      :expiredBanHalfLife = 0,
+                      1,
+                      POW(0.5, DATEDIFF(NOW() - INTERVAL 1 MONTH, B.expires) / :expiredBanHalfLife)
+                    )
+                )
+              ) AS "points"
+            FROM Bans B
+            JOIN BanLists BL ON B.banList = BL.id
+            WHERE B.created < NOW() - INTERVAL 1 MONTH AND B.removedAt IS NULL ${banFilter}
+            GROUP BY B.banList, B.steamUser
+          ) PPBL
+          GROUP BY PPBL.steamUser, PPBL.game
+        ) PPBLMB ON PPBLC.steamUser = PPBLMB.steamUser AND PPBLC.game = PPBLMB.game
+        JOIN SteamUsers SU ON PPBLC.steamUser = SU.id
+        WHERE (
+          SU.lastRefreshedReputationPoints IS NULL
+          OR NOT SU.reputationFormulaVersion <=> :version
+          OR (:expiredBanHalfLife > 0 AND SU.lastRefreshedReputationPoints < :decayRefreshedBefore)
+        ) ${steamUserFilter}
+      `,
+      { type: sequelize.QueryTypes.INSERT, replacements }
+    );
+
     const affectedRows = await sequelize.query(
       `
         UPDATE SteamUsers SU
         LEFT JOIN (
           SELECT
             PPBL.steamUser,
-            SUM(PPBL.points) AS "points"
+            ROUND(SUM(PPBL.points)) AS "points"
           FROM (
             SELECT 
               B.steamUser,
@@ -171,17 +327,23 @@ export default class Core {
                     0
                   )
                 ) > 0,
-                3,
+                :activeBanListPoints,
                 0
               ) +
               SUM(
                 IF(
                   B.expires IS NULL OR B.expires >= NOW(),
                   0,
-                  1
+                  :expiredBanPoints *
+                    IF(
+                      :expiredBanHalfLife = 0,
+                      1,
+                      POW(0.5, DATEDIFF(NOW(), B.expires) / :expiredBanHalfLife)
+                    )
                 )
               ) AS "points"
             FROM Bans B
+            WHERE B.removedAt IS NULL ${banFilter}
             GROUP BY B.banList, B.steamUser
           ) PPBL
           GROUP BY PPBL.steamUser
@@ -189,7 +351,7 @@ export default class Core {
         LEFT JOIN (
           SELECT
             PPBL.steamUser,
-            SUM(PPBL.points) AS "points"
+            ROUND(SUM(PPBL.points)) AS "points"
           FROM (
             SELECT 
               B.steamUser,
@@ -201,18 +363,23 @@ export default class Core {
                     0
                   )
                 ) > 0,
-                3,
+                :activeBanListPoints,
                 0
               ) +
               SUM(
                 IF(
                   B.expires IS NULL OR B.expires >= NOW() - INTERVAL 1 MONTH,
                   0,
-                  1
+                  :expiredBanPoints *
+                    IF(
+                      :expiredBanHalfLife = 0,
+                      1,
+                      POW(0.5, DATEDIFF(NOW() - INTERVAL 1 MONTH, B.expires) / :expiredBanHalfLife)
+                    )
                 )
               ) AS "points"
             FROM Bans B
-            WHERE B.created < NOW() - INTERVAL 1 MONTH
+            WHERE B.created < NOW() - INTERVAL 1 MONTH AND B.removedAt IS NULL ${banFilter}
             GROUP BY B.banList, B.steamUser
           ) PPBL
           GROUP BY PPBL.steamUser
@@ -221,10 +388,15 @@ export default class Core {
           SU.reputationPoints = IFNULL(PPBLC.points, 0),
           SU.reputationPointsMonthBefore = IFNULL(PPBLMB.points, 0),
           SU.reputationPointsMonthChange = IFNULL(PPBLC.points, 0) - IFNULL(PPBLMB.points, 0),
-          SU.lastRefreshedReputationPoints = NOW()
-        WHERE SU.lastRefreshedReputationPoints IS NULL
+          SU.lastRefreshedReputationPoints = NOW(),
+          SU.reputationFormulaVersion = :version
+        WHERE (
+          SU.lastRefreshedReputationPoints IS NULL
+          OR NOT SU.reputationFormulaVersion <=> :version
+          OR (:expiredBanHalfLife > 0 AND SU.lastRefreshedReputationPoints < :decayRefreshedBefore)
+        ) ${steamUserFilter}
       `,
-      { type: sequelize.QueryTypes.BULKUPDATE }
+      { type: sequelize.QueryTypes.BULKUPDATE, replacements }
     );
     Logger.verbose(
       'Core',
@@ -261,6 +433,24 @@ export default class Core {
       `,
       { type: sequelize.QueryTypes.BULKUPDATE }
     );
+
+    // Rank players within each game.
+    await sequelize.query(
+      `
+      CREATE TEMPORARY TABLE Temp_RankedGameReputations
+        SELECT id, RANK() OVER (PARTITION BY game ORDER BY reputationPoints DESC) AS reputationRank
+      FROM GameReputations;
+      `
+    );
+    await sequelize.query(
+      `
+      UPDATE GameReputations gr
+      JOIN Temp_RankedGameReputations rr ON gr.id = rr.id
+      SET gr.reputationRank = rr.reputationRank,
+          gr.lastRefreshedReputationRank = @Dt;
+      `,
+      { type: sequelize.QueryTypes.BULKUPDATE }
+    );
     Logger.verbose(
       'Core',
       1,
@@ -271,6 +461,64 @@ export default class Core {
     );
   }
 
+  static async snapshotReputation() {
+    Logger.verbose('Core', 2, 'Taking snapshots of the reputation of Steam users...');
+    const profileStartTime = Date.now();
+
+    // Bans are counted as active the same way as when calculating reputation points.
+    await sequelize.query(
+      `
+        INSERT INTO ReputationSnapshots (
+          id,
+          steamUser,
+          date,
+          reputationPoints,
+          reputationRank,
+          activeBans,
+          expiredBans,
+          createdAt,
+          updatedAt
+        )
+        SELECT
+          CONCAT(SU.id, ",", CURDATE()),
+          SU.id,
+          CURDATE(),
+          SU.reputationPoints,
+          SU.reputationRank,
+          IFNULL(BC.activeBans, 0),
+          IFNULL(BC.expiredBans, 0),
+          NOW(),
+          NOW()
+        FROM SteamUsers SU
+        LEFT JOIN (
+          SELECT
+            B.steamUser,
+            SUM(IF(B.expires IS NULL OR B.expires >= NOW(), 1, 0)) AS "activeBans",
+            SUM(IF(B.expires IS NULL OR B.expires >= NOW(), 0, 1)) AS "expiredBans"
+          FROM Bans B
+          WHERE B.removedAt IS NULL
+          GROUP BY B.steamUser
+        ) BC ON SU.id = BC.steamUser
+        WHERE BC.steamUser IS NOT NULL OR SU.reputationPoints > 0
+        ON DUPLICATE KEY UPDATE
+          reputationPoints = VALUES(reputationPoints),
+          reputationRank = VALUES(reputationRank),
+          activeBans = VALUES(activeBans),
+          expiredBans = VALUES(expiredBans),
+          updatedAt = VALUES(updatedAt)
+      `,
+      { type: sequelize.QueryTypes.INSERT }
+    );
+    Logger.verbose(
+      'Core',
+      1,
+      `Finished taking reputation snapshots. Took ${(
+        (Date.now() - profileStartTime) /
+        1000
+      ).toFixed(2)}s`
+    );
+  }
+
   static async exportExportBans() {
     Logger.verbose('Core', 1, 'Exporting Bans...');
     const profileStartTime = Date.now();
@@ -7,11 +7,146 @@ import { Logger } from 'scbl-lib/utils';
 // const UPDATE_BATCH_SIZE = process.env.UPDATE_EXPORT_BANS_BATCH_SIZE || 100;
 const UPDATE_BATCH_SIZE = process.env.UPDATE_EXPORT_BANS_BATCH_SIZE || 250;
 
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days between the date and today, counted by calendar day like MySQL's DATEDIFF.
+const daysSince = (date) =>
+  Math.floor(Date.now() / DAY) - Math.floor(new Date(date).getTime() / DAY);
+
 export default class ExportBanManager {
-  static async updateExportBans() {
+  // Generates the export bans that the given Steam users should have from the bans currently stored.
+  // Export ban lists with a half-life halve the points of expired bans every half-life days after they
+  // expired.
+  static generateExportBans(steamUserIDs, transaction) {
+    return sequelize.query(
+      `
+        SELECT
+          CONCAT(steamUser, ",", exportBanList) AS "id",
+          "TO_BE_CREATED" AS "status",
+          steamUser,
+          exportBanList
+        FROM (
+          SELECT
+            EBL.id AS "exportBanList",
+            B.steamUser AS "steamUser",
+            EBL.threshold AS "threshold",
+            MAX(
+              IF(
+                B.expired,
+                0,
+                IFNULL(
+                  EBLC.activePoints,
+                  EBL.defaultActivePoints
+                )
+              )
+            ) AS "activePoints",
+            SUM(
+              IF(
+                B.expired,
+                IFNULL(
+                  EBLC.expiredPoints,
+                  EBL.defaultExpiredPoints
+                ) *
+                  IF(
+                    EBL.expiredBanHalfLife = 0,
+                    1,
+                    POW(0.5, IFNULL(DATEDIFF(NOW(), B.expires), 0) / EBL.expiredBanHalfLife)
+                  ),
+                0
+              )
+            ) AS "expiredPoints"
+          FROM Bans B
+          JOIN BanLists BL ON B.banList = BL.id
+          CROSS JOIN ExportBanLists EBL
+          LEFT JOIN ExportBanListConfigs EBLC ON EBL.id = EBLC.exportBanList AND B.banList = EBLC.banList
+          WHERE (
+            EBL.maxBanAge = 0 OR
+            EBL.maxBanAge >= DATEDIFF(NOW(), B.created)
+          ) AND (
+            EBL.games IS NULL OR
+            JSON_CONTAINS(EBL.games, JSON_QUOTE(BL.game))
+          ) AND B.removedAt IS NULL AND B.steamUser IN (?)
+          GROUP BY EBL.id, B.steamUser, B.banList
+        ) A
+        GROUP BY exportBanList, steamUser
+        HAVING SUM(activePoints) + SUM(expiredPoints) >= MAX(threshold)
+      `,
+      {
+        type: QueryTypes.SELECT,
+        transaction,
+        replacements: [steamUserIDs]
+      }
+    );
+  }
+
+  // Calculates the export bans that Steam users would have from the given bans in the same way as
+  // generateExportBans, but in memory, so changes to bans can be previewed without writing them. Each
+  // ban must have the game of its ban list.
+  static calculateExportBans(bans, exportBanLists, exportBanListConfigs) {
+    const configs = new Map(
+      exportBanListConfigs.map((config) => [`${config.exportBanList},${config.banList}`, config])
+    );
+    const exportBans = [];
+
+    for (const exportBanList of exportBanLists) {
+      // The points of each Steam user from each ban list.
+      const points = new Map();
+
+      for (const ban of bans) {
+        if (exportBanList.maxBanAge !== 0 && exportBanList.maxBanAge < daysSince(ban.created))
+          continue;
+        if (exportBanList.games && !exportBanList.games.includes(ban.game)) continue;
+
+        const config = configs.get(`${exportBanList.id},${ban.banList}`);
+        const activePoints =
+          config && config.activePoints != null
+            ? config.activePoints
+            : exportBanList.defaultActivePoints;
+        const expiredPoints =
+          config && config.expiredPoints != null
+            ? config.expiredPoints
+            : exportBanList.defaultExpiredPoints;
+
+        const key = `${ban.steamUser},${ban.banList}`;
+        if (!points.has(key)) points.set(key, { steamUser: ban.steamUser, active: 0, expired: 0 });
+        const banListPoints = points.get(key);
+
+        if (!ban.expired) banListPoints.active = Math.max(banListPoints.active, activePoints);
+        else
+          banListPoints.expired +=
+            expiredPoints *
+            (exportBanList.expiredBanHalfLife === 0
+              ? 1
+              : Math.pow(
+                  0.5,
+                  (ban.expires ? daysSince(ban.expires) : 0) / exportBanList.expiredBanHalfLife
+                ));
+      }
+
+      const totals = new Map();
+      for (const { steamUser, active, expired } of points.values())
+        totals.set(steamUser, (totals.get(steamUser) || 0) + active + expired);
+
+      for (const [steamUser, total] of totals)
+        if (total >= exportBanList.threshold)
+          exportBans.push({
+            id: `${steamUser},${exportBanList.id}`,
+            status: 'TO_BE_CREATED',
+            steamUser,
+            exportBanList: exportBanList.id
+          });
+    }
+
+    return exportBans;
+  }
+
+  static async updateExportBans(steamUserIDs) {
     Logger.verbose('ExportBanManager', 2, 'Fetching Steam users to update...');
     const profileStartTime = Date.now();
-    const users = await SteamUser.findAll({ attributes: ['id'] });
+    const users = await SteamUser.findAll({
+      attributes: ['id'],
+      where: steamUserIDs ? { id: { [Op.in]: steamUserIDs } } : undefined
+    });
     Logger.verbose(
       'ExportBanManager',
       2,
@@ -48,55 +183,9 @@ export default class ExportBanManager {
           isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE
         },
         async (t) => {
-          return sequelize.query(
-            `
-              SELECT
-                CONCAT(steamUser, ",", exportBanList) AS "id",
-                "TO_BE_CREATED" AS "status",
-                steamUser,
-                exportBanList
-              FROM (
-                SELECT
-                  EBL.id AS "exportBanList",
-                  B.steamUser AS "steamUser",
-                  EBL.threshold AS "threshold",
-                  MAX(
-                    IF(
-                      B.expired,
-                      0,
-                      IFNULL(
-                        EBLC.activePoints,
-                        EBL.defaultActivePoints
-                      )
-                    )
-                  ) AS "activePoints",
-                  SUM(
-                    IF(
-                      B.expired,
-                      IFNULL(
-                        EBLC.expiredPoints,
-                        EBL.defaultExpiredPoints
-                      ),
-                      0
-                    )
-                  ) AS "expiredPoints"
-                FROM Bans B
-                CROSS JOIN ExportBanLists EBL
-                LEFT JOIN ExportBanListConfigs EBLC ON EBL.id = EBLC.exportBanList AND B.banList = EBLC.banList
-                WHERE (
-                  EBL.maxBanAge = 0 OR
-                  EBL.maxBanAge >= DATEDIFF(NOW(), B.created)
-                ) AND B.steamUser IN (?)
-                GROUP BY EBL.id, B.steamUser, B.banList
-              ) A
-              GROUP BY exportBanList, steamUser
-              HAVING SUM(activePoints) + SUM(expiredPoints) >= MAX(threshold)
-            `,
-            {
-              type: QueryTypes.SELECT,
-              transaction: t,
-              replacements: [batch.map((steamUser) => steamUser.id)]
-            }
+          return ExportBanManager.generateExportBans(
+            batch.map((steamUser) => steamUser.id),
+            t
           );
         }
       );
@@ -22,7 +22,8 @@ const client = new ApolloClient({
       Query: {
         fields: {
           bans: relayStylePagination(['orderBy', 'orderDirection']),
-          steamUsers: relayStylePagination(['orderBy', 'orderDirection'])
+          steamUsers: relayStylePagination(['orderBy', 'orderDirection']),
+          leaderboard: relayStylePagination(['window', 'reasonCategory'])
         }
       }
     }
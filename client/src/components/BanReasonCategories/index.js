@@ -0,0 +1,26 @@
+import React from 'react';
+
+export default function (props) {
+  if (props.reasonCategories.length === 0) return <>Unknown</>;
+
+  return (
+    <>
+      {props.reasonCategories.map((category, key) => (
+        <React.Fragment key={key}>
+          {key > 0 && '\n'}
+          {category.inferred ? (
+            <span
+              className="text-muted font-italic"
+              title="Inferred from the reasons of similar bans, as no classification rule matched."
+            >
+              {category.name}
+              <small> ({Math.round(category.confidence * 100)}% likely)</small>
+            </span>
+          ) : (
+            category.name
+          )}
+        </React.Fragment>
+      ))}
+    </>
+  );
+}
@@ -21,16 +21,27 @@ import { ExportBanListConfigs } from '../';
 
 const schema = yup.object().shape(Validators.ExportBanList);
 
+const GAMES = [
+  ['SQUAD', 'Squad'],
+  ['POST_SCRIPTUM', 'Post Scriptum'],
+  ['BEYOND_THE_WIRE', 'Beyond the Wire'],
+  ['SQUAD_44', 'Squad 44']
+];
+
 export default function (props) {
   const { register, handleSubmit, errors } = useForm({
     resolver: yupResolver(schema),
-    defaultValues: props.exportBanList || {
-      type: 'remote',
-      threshold: 9,
-      defaultActivePoints: 3,
-      defaultExpiredPoints: 1,
-      maxBanAge: 0
-    }
+    defaultValues: props.exportBanList
+      ? { ...props.exportBanList, games: props.exportBanList.games || [] }
+      : {
+          type: 'remote',
+          threshold: 9,
+          defaultActivePoints: 3,
+          defaultExpiredPoints: 1,
+          expiredBanHalfLife: 0,
+          maxBanAge: 0,
+          games: []
+        }
   });
 
   return (
@@ -137,6 +148,23 @@ export default function (props) {
                 <FormFeedback>{errors.defaultExpiredPoints?.message}</FormFeedback>
               </FormGroup>
             </Col>
+            <Col xs="12">
+              <FormGroup>
+                <Label>Expired Ban Half-Life (in Days)</Label>
+                <Input
+                  type="text"
+                  innerRef={register}
+                  name="expiredBanHalfLife"
+                  invalid={!!errors.expiredBanHalfLife?.message}
+                />
+                <FormText>
+                  Please provide a half-life for expired bans in days. The points a player gets for
+                  an expired ban will halve every this many days after it expired. Use 0 to keep the
+                  points of expired bans constant.
+                </FormText>
+                <FormFeedback>{errors.expiredBanHalfLife?.message}</FormFeedback>
+              </FormGroup>
+            </Col>
             <Col xs="12">
               <FormGroup>
                 <Label>Max Ban Age (in Days)</Label>
@@ -153,6 +181,29 @@ export default function (props) {
                 <FormFeedback>{errors.maxBanAge?.message}</FormFeedback>
               </FormGroup>
             </Col>
+            <Col xs="12">
+              <FormGroup>
+                <Label>Games</Label>
+                <Input
+                  type="select"
+                  multiple
+                  innerRef={register}
+                  name="games"
+                  invalid={!!errors.games?.message}
+                >
+                  {GAMES.map(([game, name]) => (
+                    <option key={game} value={game}>
+                      {name}
+                    </option>
+                  ))}
+                </Input>
+                <FormText>
+                  Please select the games whose ban lists should contribute points to a player's
+                  total. Select none to include ban lists from every game.
+                </FormText>
+                <FormFeedback>{errors.games?.message}</FormFeedback>
+              </FormGroup>
+            </Col>
             <Col xs="12">
               <FormGroup>
                 <Label>Discord Webhook (Optional)</Label>
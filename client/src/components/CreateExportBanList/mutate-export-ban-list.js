@@ -14,7 +14,9 @@ const CREATE_EXPORT_BAN_LIST = gql`
     $threshold: Int
     $defaultActivePoints: Int
     $defaultExpiredPoints: Int
+    $expiredBanHalfLife: Int
     $maxBanAge: Int
+    $games: [Game]
     $discordWebhook: String
   ) {
     createExportBanList(
@@ -24,7 +26,9 @@ const CREATE_EXPORT_BAN_LIST = gql`
       threshold: $threshold
       defaultActivePoints: $defaultActivePoints
       defaultExpiredPoints: $defaultExpiredPoints
+      expiredBanHalfLife: $expiredBanHalfLife
       maxBanAge: $maxBanAge
+      games: $games
       discordWebhook: $discordWebhook
     ) {
       id
@@ -34,7 +38,9 @@ const CREATE_EXPORT_BAN_LIST = gql`
       threshold
       defaultActivePoints
       defaultExpiredPoints
+      expiredBanHalfLife
       maxBanAge
+      games
       discordWebhook
     }
   }
@@ -48,7 +54,9 @@ const UPDATE_EXPORT_BAN_LIST = gql`
     $threshold: Int
     $defaultActivePoints: Int
     $defaultExpiredPoints: Int
+    $expiredBanHalfLife: Int
     $maxBanAge: Int
+    $games: [Game]
     $discordWebhook: String
   ) {
     updateExportBanList(
@@ -58,7 +66,9 @@ const UPDATE_EXPORT_BAN_LIST = gql`
       threshold: $threshold
       defaultActivePoints: $defaultActivePoints
       defaultExpiredPoints: $defaultExpiredPoints
+      expiredBanHalfLife: $expiredBanHalfLife
       maxBanAge: $maxBanAge
+      games: $games
       discordWebhook: $discordWebhook
     ) {
       id
@@ -68,7 +78,9 @@ const UPDATE_EXPORT_BAN_LIST = gql`
       threshold
       defaultActivePoints
       defaultExpiredPoints
+      expiredBanHalfLife
       maxBanAge
+      games
       discordWebhook
     }
   }
@@ -93,7 +105,9 @@ function addToCache(cache, { data: { createExportBanList } }) {
                     threshold
                     defaultActivePoints
                     defaultExpiredPoints
+                    expiredBanHalfLife
                     maxBanAge
+                    games
                     discordWebhook
                   }
                 `
@@ -16,7 +16,9 @@ const GET_EXPORT_BAN_LIST = gql`
         threshold
         defaultActivePoints
         defaultExpiredPoints
+        expiredBanHalfLife
         maxBanAge
+        games
         discordWebhook
       }
     }
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+
+const dateOptions = { year: 'numeric', month: 'short', day: 'numeric' };
+
+export default function (props) {
+  const history = props.reputationHistory;
+
+  const data = {
+    labels: history.map((snapshot) =>
+      new Date(snapshot.date).toLocaleDateString(undefined, dateOptions)
+    ),
+    datasets: [
+      {
+        label: 'Reputation Points',
+        yAxisID: 'points',
+        data: history.map((snapshot) => snapshot.reputationPoints),
+        borderColor: '#f5365c',
+        backgroundColor: '#f5365c',
+        fill: false,
+        lineTension: 0
+      },
+      {
+        label: 'Risk Ranking',
+        yAxisID: 'rank',
+        data: history.map((snapshot) => snapshot.reputationRank),
+        borderColor: '#5e72e4',
+        backgroundColor: '#5e72e4',
+        fill: false,
+        lineTension: 0
+      }
+    ]
+  };
+
+  const options = {
+    tooltips: {
+      mode: 'index',
+      intersect: false,
+      callbacks: {
+        footer: (items) => {
+          const snapshot = history[items[0].index];
+          return [`Active Bans: ${snapshot.activeBans}`, `Expired Bans: ${snapshot.expiredBans}`];
+        }
+      }
+    },
+    scales: {
+      yAxes: [
+        {
+          id: 'points',
+          position: 'left',
+          scaleLabel: { display: true, labelString: 'Reputation Points' },
+          ticks: { beginAtZero: true, precision: 0 }
+        },
+        {
+          // Rank #1 is the most harmful player, so it is shown at the top.
+          id: 'rank',
+          position: 'right',
+          scaleLabel: { display: true, labelString: 'Risk Ranking' },
+          gridLines: { drawOnChartArea: false },
+          ticks: { reverse: true, precision: 0 }
+        }
+      ]
+    }
+  };
+
+  return <Line data={data} options={options} />;
+}
@@ -1,6 +1,7 @@
 import AdvancedModal from './AdvancedModal';
 import BanDates from './BanDates';
 import BanListSelector from './BanListSelector';
+import BanReasonCategories from './BanReasonCategories';
 import CreateExportBanList from './CreateExportBanList';
 import CreateExportBanListConfig from './CreateExportBanListConfig';
 import DeleteExportBanList from './DeleteExportBanList';
@@ -11,12 +12,14 @@ import ExportBanListConfigs from './ExportBanListConfigs';
 import FormattedDate from './FormattedDate';
 import LoadingModal from './LoadingModal';
 import RecentlyViewedSteamUsers from './RecentlyViewedSteamUsers';
+import ReputationHistoryChart from './ReputationHistoryChart';
 import SteamUser from './SteamUser';
 
 export {
   AdvancedModal,
   BanDates,
   BanListSelector,
+  BanReasonCategories,
   CreateExportBanList,
   CreateExportBanListConfig,
   DeleteExportBanList,
@@ -27,5 +30,6 @@ export {
   FormattedDate,
   LoadingModal,
   RecentlyViewedSteamUsers,
+  ReputationHistoryChart,
   SteamUser
 };
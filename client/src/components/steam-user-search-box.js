@@ -12,6 +12,8 @@ import {
   InputGroupText
 } from 'reactstrap';
 
+const PLAYER_ID_REGEX = /^([0-9]{17}|[0-9a-fA-F]{32})$/;
+
 export default function (props) {
   const [search, updateSearch] = useState(props.search || '');
   const history = useHistory();
@@ -24,7 +26,9 @@ export default function (props) {
             className={classnames({
               'input-group-alternative': props.frontpageVersion,
               'is-invalid':
-                !props.frontpageVersion && search !== '' && !(search && search.match(/^[0-9]{17}$/))
+                !props.frontpageVersion &&
+                search !== '' &&
+                !(search && search.match(PLAYER_ID_REGEX))
             })}
           >
             <InputGroupAddon addonType="prepend">
@@ -35,7 +39,7 @@ export default function (props) {
 
             <Input
               type="text"
-              placeholder="Steam 64 ID"
+              placeholder="Steam 64 ID or EOS ID"
               value={search}
               onChange={(e) => updateSearch(e.target.value)}
             />
@@ -44,13 +48,16 @@ export default function (props) {
               <Button
                 className="rounded-right shadow-none"
                 color="primary"
-                disabled={!props.frontpageVersion && !(search && search.match(/^[0-9]{17}$/))}
+                disabled={!props.frontpageVersion && !(search && search.match(PLAYER_ID_REGEX))}
               >
                 Search
               </Button>
             </InputGroupAddon>
           </InputGroup>
-          <FormFeedback>A valid Steam 64 ID is a 17 digit number.</FormFeedback>
+          <FormFeedback>
+            A valid Steam 64 ID is a 17 digit number and a valid EOS ID is 32 hexadecimal
+            characters.
+          </FormFeedback>
         </FormGroup>
       </Form>
     </div>
@@ -342,6 +342,11 @@ function GettingUnbannedFromCommunityBanList(props) {
             total number of points 10 which exceeds the default threshold of 9 and therefore Bob
             will be added to the export ban list.
           </p>
+          <p>
+            Partners may also configure a half-life for expired bans, so that the points an expired
+            ban contributes halve every so many days after it expired. On these export ban lists,
+            old expired bans count for less over time.
+          </p>
           <h6>Getting Unbanned from CommunityBanList.com</h6>
           <p>There are a number of different ways of getting unbanned from CommunityBanList.com:</p>
           <ul className="font-weight-light">
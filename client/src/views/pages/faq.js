@@ -3,11 +3,28 @@ import md5 from 'md5';
 
 import { Card, CardBody, Container } from 'reactstrap';
 
+import { gql, useQuery } from '@apollo/client';
+
 import { DISCORD_INVITE } from 'scbl-lib/config';
 
 import Layout from '../layout/layout.js';
 
-const sections = [
+const query = gql`
+  query {
+    reputationFormula {
+      version
+      activeBanListPoints
+      expiredBanPoints
+      expiredBanHalfLife
+      riskRatingMaxPoints
+    }
+  }
+`;
+
+// Shows a parameter of the live reputation formula, once it has loaded.
+const formulaValue = (formula, parameter) => (formula ? formula[parameter] : '...');
+
+const getSections = (formula) => [
   {
     name: 'CommunityBanList.com Basics',
     questions: [
@@ -39,8 +56,20 @@ const sections = [
           <>
             "Points" is a term you will frequently hear in reference to the CommunityBanList.com.
             Points are used to represent how bad a reputation a player has based on bans they have
-            on our partner organisation's ban lists. By default, active and expired bans will
-            contribute 3 and 1 points respectively. Only one active ban per ban list is counted.
+            on our partner organisation's ban lists. Active and expired bans contribute{' '}
+            {formulaValue(formula, 'activeBanListPoints')} and{' '}
+            {formulaValue(formula, 'expiredBanPoints')} points respectively. Only one active ban per
+            ban list is counted.
+            {formula && formula.expiredBanHalfLife > 0 && (
+              <>
+                {' '}
+                The points of an expired ban halve every {formula.expiredBanHalfLife} days after it
+                expired, so older bans count for less.
+              </>
+            )}{' '}
+            Points are currently calculated by version {formulaValue(formula, 'version')} of our
+            reputation formula, and each player's page shows the version that calculated their
+            points.
           </>
         )
       },
@@ -49,8 +78,10 @@ const sections = [
         answer: (
           <>
             "Risk rating" is 0-10 rating used by our partner communities to approximate how harmful
-            a potential player may be. The algorithm used to calculate the "risk rating" is still
-            experimental and is subject to change.
+            a potential player may be. It scales a player's reputation points so that{' '}
+            {formulaValue(formula, 'riskRatingMaxPoints')} or more points is a risk rating of 10.
+            The algorithm used to calculate the "risk rating" is still experimental and is subject
+            to change.
           </>
         )
       },
@@ -103,8 +134,10 @@ const sections = [
             bans will contribute 3 and 1 points respectively, however, users can configure these
             values when creating their export ban lists. Furthermore, users can set these values
             individually for each of our partner organisations' ban lists. Only one active ban per
-            ban list is counted. Once the number of points a player has exceeds the threshold set in
-            the export ban list's configuration they are added to the export ban list.
+            ban list is counted. Users can also set a half-life, after which the points of expired
+            bans halve, so that older bans count for less. Once the number of points a player has
+            exceeds the threshold set in the export ban list's configuration they are added to the
+            export ban list.
           </>
         )
       },
@@ -124,6 +157,9 @@ const sections = [
 ];
 
 export default function () {
+  const { data } = useQuery(query);
+  const sections = getSections(data && data.reputationFormula);
+
   return (
     <Layout>
       <section className="section section-lg pt-lg-0 mt--200">
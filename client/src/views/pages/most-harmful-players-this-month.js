@@ -1,5 +1,5 @@
-import React from 'react';
-import { Button, Card, CardBody, Container, Table } from 'reactstrap';
+import React, { useState } from 'react';
+import { Button, ButtonGroup, Card, CardBody, Col, Container, Input, Row, Table } from 'reactstrap';
 
 import { gql, useQuery } from '@apollo/client';
 
@@ -7,24 +7,28 @@ import Layout from '../layout/layout.js';
 
 import { DisplayRiskRating, SteamUser } from '../../components';
 
+const WINDOWS = [
+  ['WEEK', 'Week'],
+  ['MONTH', 'Month'],
+  ['QUARTER', 'Quarter'],
+  ['YEAR', 'Year']
+];
+
 const query = gql`
-  query MostHarmfulPlayers($after: String) {
-    steamUsers(
-      orderBy: "reputationPointsMonthChange"
-      orderDirection: DESC
-      first: 20
-      after: $after
-    ) {
+  query MostHarmfulPlayers($window: LeaderboardWindow!, $reasonCategory: String, $after: String) {
+    leaderboard(window: $window, reasonCategory: $reasonCategory, first: 20, after: $after) {
       edges {
         cursor
         node {
-          id
-          name
-          avatar
-          reputationPoints
-          reputationPointsMonthChange
-          riskRating
-          reputationRank
+          score
+          steamUser {
+            id
+            name
+            avatar
+            reputationPoints
+            riskRating
+            reputationRank
+          }
         }
       }
       pageInfo {
@@ -37,8 +41,25 @@ const query = gql`
   }
 `;
 
+const reasonCategoriesQuery = gql`
+  query {
+    reasonCategories {
+      id
+      name
+    }
+  }
+`;
+
 export default function () {
-  const { loading, error, data, fetchMore } = useQuery(query);
+  const [leaderboardWindow, setLeaderboardWindow] = useState('MONTH');
+  const [reasonCategory, setReasonCategory] = useState(null);
+
+  const { loading, error, data, fetchMore } = useQuery(query, {
+    variables: { window: leaderboardWindow, reasonCategory }
+  });
+  const { data: reasonCategoriesData } = useQuery(reasonCategoriesQuery);
+
+  const windowName = WINDOWS.find(([value]) => value === leaderboardWindow)[1];
 
   return (
     <Layout>
@@ -49,16 +70,54 @@ export default function () {
               <div className="icon icon-shape bg-gradient-primary rounded-circle text-white mb-4">
                 <i className="fa fa-list" />
               </div>
-              <h6 className="text-primary text-uppercase">Most Harmful Players For This Month</h6>
+              <h6 className="text-primary text-uppercase">
+                Most Harmful Players For This {windowName}
+              </h6>
               <p className="description mt-2">
-                Explore a list of the most harmful players in our database from this month.
+                Explore a list of the most harmful players in our database from this{' '}
+                {windowName.toLowerCase()}, or of the players with the most bans for a reason.
               </p>
+              <Row className="mb-3">
+                <Col md="6">
+                  <ButtonGroup>
+                    {WINDOWS.map(([value, name]) => (
+                      <Button
+                        key={value}
+                        color="primary"
+                        outline={leaderboardWindow !== value}
+                        onClick={() => setLeaderboardWindow(value)}
+                      >
+                        {name}
+                      </Button>
+                    ))}
+                  </ButtonGroup>
+                </Col>
+                <Col md="6">
+                  <Input
+                    type="select"
+                    value={reasonCategory || ''}
+                    onChange={(event) => setReasonCategory(event.target.value || null)}
+                  >
+                    <option value="">All Reasons</option>
+                    {reasonCategoriesData &&
+                      reasonCategoriesData.reasonCategories.map((category) => (
+                        <option key={category.id} value={category.name}>
+                          {category.name}
+                        </option>
+                      ))}
+                  </Input>
+                </Col>
+              </Row>
             </CardBody>
             <Table className="align-items-center table-flush" responsive>
               <thead className="thead-light">
                 <tr>
                   <th>Players</th>
-                  <th>Reputation Points This Month</th>
+                  <th>
+                    {reasonCategory
+                      ? `${reasonCategory} Bans This ${windowName}`
+                      : `Reputation Points This ${windowName}`}
+                  </th>
                   <th>Reputation Points</th>
                   <th>Risk Rating</th>
                   <th>Risk Ranking</th>
@@ -90,28 +149,32 @@ export default function () {
                 )}
                 {data && (
                   <>
-                    {data.steamUsers.edges.map((edge, key) => (
+                    {data.leaderboard.edges.map((edge, key) => (
                       <tr key={key}>
                         <td>
-                          <SteamUser steamUser={edge.node} />
+                          <SteamUser steamUser={edge.node.steamUser} />
                         </td>
-                        <td>{edge.node.reputationPointsMonthChange}</td>
-                        <td>{edge.node.reputationPoints}</td>
+                        <td>{edge.node.score}</td>
+                        <td>{edge.node.steamUser.reputationPoints}</td>
                         <td>
-                          <DisplayRiskRating riskRating={edge.node.riskRating} />
+                          <DisplayRiskRating riskRating={edge.node.steamUser.riskRating} />
                         </td>
-                        <td>{edge.node.reputationRank || 'Unranked'}</td>
+                        <td>{edge.node.steamUser.reputationRank || 'Unranked'}</td>
                       </tr>
                     ))}
                     <tr>
                       <td colSpan={5} className="text-center">
                         <Button
                           color="primary"
-                          disabled={!data.steamUsers.pageInfo.hasNextPage}
+                          disabled={!data.leaderboard.pageInfo.hasNextPage}
                           onClick={() => {
                             fetchMore({
                               query,
-                              variables: { after: data.steamUsers.pageInfo.endCursor }
+                              variables: {
+                                window: leaderboardWindow,
+                                reasonCategory,
+                                after: data.leaderboard.pageInfo.endCursor
+                              }
                             });
                           }}
                         >
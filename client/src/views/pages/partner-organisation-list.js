@@ -4,7 +4,7 @@ import { gql, useQuery } from '@apollo/client';
 import { Card, CardBody, Container, Modal, ModalBody, ModalHeader, Table } from 'reactstrap';
 
 import Layout from '../layout/layout.js';
-import { AdvancedModal } from '../../components';
+import { AdvancedModal, FormattedDate } from '../../components';
 
 const query = gql`
   query {
@@ -16,6 +16,10 @@ const query = gql`
       banLists {
         id
         name
+        lastImported
+        lastImportBanCount
+        lastImportUnlinkedBanCount
+        importFailureCount
       }
     }
   }
@@ -94,6 +98,33 @@ export default function () {
                                 <ModalBody className="text-center">
                                   <h3>{organisation.name}</h3>
                                   <a href={organisation.discord}>Discord</a>
+                                  {organisation.banLists.map((banList) => (
+                                    <div className="mt-3" key={banList.id}>
+                                      <h6>{banList.name}</h6>
+                                      <small>
+                                        <strong>Last Imported: </strong>{' '}
+                                        {banList.lastImported ? (
+                                          <FormattedDate date={banList.lastImported} />
+                                        ) : (
+                                          'Not yet imported.'
+                                        )}
+                                        {banList.lastImportBanCount !== null &&
+                                          ` (${banList.lastImportBanCount} bans)`}
+                                        {banList.lastImportUnlinkedBanCount > 0 &&
+                                          ` (${banList.lastImportUnlinkedBanCount} bans skipped as their EOS IDs are not linked to a SteamID)`}
+                                      </small>
+                                      {banList.importFailureCount > 0 && (
+                                        <>
+                                          <br />
+                                          <small className="text-danger">
+                                            <i className="fas fa-exclamation-triangle mr-1" />
+                                            The last {banList.importFailureCount} import(s) of this
+                                            ban list failed.
+                                          </small>
+                                        </>
+                                      )}
+                                    </div>
+                                  ))}
                                 </ModalBody>
                               </Modal>
                             </>
@@ -5,7 +5,7 @@ import { gql, useQuery } from '@apollo/client';
 
 import Layout from '../layout/layout.js';
 
-import { BanDates, SteamUser } from '../../components';
+import { BanDates, BanReasonCategories, SteamUser } from '../../components';
 
 const query = gql`
   query RecentBans($after: String) {
@@ -28,7 +28,12 @@ const query = gql`
               discord
             }
           }
-          reason
+          reasonCategories {
+            id
+            name
+            inferred
+            confidence
+          }
           created
           expires
         }
@@ -143,7 +148,7 @@ export default function () {
                           {edge.node.banList.name}
                         </td>
                         <td style={{ whiteSpace: 'pre-wrap' }}>
-                          {edge.node.reason.replace(/, /g, '\n')}
+                          <BanReasonCategories reasonCategories={edge.node.reasonCategories} />
                         </td>
                         <td>
                           <BanDates created={edge.node.created} expires={edge.node.expires} />
@@ -13,20 +13,33 @@ import steamAvatar from '../../assets/img/misc/avatar.jpg';
 
 import {
   BanDates,
+  BanReasonCategories,
   DisplayRiskRating,
   FormattedDate,
-  RecentlyViewedSteamUsers
+  RecentlyViewedSteamUsers,
+  ReputationHistoryChart
 } from '../../components';
 
 const GET_PLAYER = gql`
   query Search($id: String!) {
     steamUser(id: $id) {
       id
+      eosIDs
       name
       avatarFull
       reputationPoints
       riskRating
+      reputationFormula {
+        version
+      }
       reputationRank
+      reputationHistory {
+        date
+        reputationPoints
+        reputationRank
+        activeBans
+        expiredBans
+      }
       lastRefreshedInfo
       lastRefreshedReputationPoints
       lastRefreshedReputationRank
@@ -44,7 +57,17 @@ const GET_PLAYER = gql`
                 discord
               }
             }
-            reason
+            reasonCategories {
+              id
+              name
+              inferred
+              confidence
+            }
+            evidence {
+              id
+              url
+              host
+            }
             created
             expires
           }
@@ -64,7 +87,17 @@ const GET_PLAYER = gql`
                 discord
               }
             }
-            reason
+            reasonCategories {
+              id
+              name
+              inferred
+              confidence
+            }
+            evidence {
+              id
+              url
+              host
+            }
             created
             expires
           }
@@ -74,11 +107,24 @@ const GET_PLAYER = gql`
   }
 `;
 
+function BanEvidence(props) {
+  if (props.evidence.length === 0) return <small className="text-muted">None listed</small>;
+
+  return props.evidence.map((evidence, key) => (
+    <React.Fragment key={evidence.id}>
+      {key > 0 && <br />}
+      <a href={evidence.url} target="_blank" rel="noopener noreferrer nofollow">
+        {evidence.host}
+      </a>
+    </React.Fragment>
+  ));
+}
+
 export default function (props) {
   const search = props.match.params.search;
-  const isValidSteam64ID = search && search.match(/^[0-9]{17}$/);
+  const isValidPlayerID = search && search.match(/^([0-9]{17}|[0-9a-fA-F]{32})$/);
 
-  const { loading, error, data } = isValidSteam64ID
+  const { loading, error, data } = isValidPlayerID
     ? useQuery(GET_PLAYER, { variables: { id: search } })
     : { loading: null, error: null, data: null };
 
@@ -118,13 +164,11 @@ export default function (props) {
             )}
             {data && data.steamUser === null && (
               <CardBody>
-                <div className="text-center mt-2 mb-2">Unknown Steam User</div>
+                <div className="text-center mt-2 mb-2">Unknown Player</div>
                 <div className="btn-wrapper text-center">
                   <i className="fas fa-question fa-4x" />
                 </div>
-                <div className="text-center mt-2 mb-2">
-                  We do not have this Steam user on record.
-                </div>
+                <div className="text-center mt-2 mb-2">We do not have this player on record.</div>
               </CardBody>
             )}
             {data && data.steamUser && (
@@ -146,6 +190,14 @@ export default function (props) {
                       {data.steamUser.name || data.steamUser.id}
                     </a>
                   </h5>
+                  {data.steamUser.eosIDs.length > 0 && (
+                    <>
+                      <small>
+                        <strong>EOS IDs: </strong> {data.steamUser.eosIDs.join(', ')}
+                      </small>
+                      <br />
+                    </>
+                  )}
                   <small>
                     <strong>Last Refreshed: </strong>{' '}
                     {data.steamUser.lastRefreshedInfo ? (
@@ -222,6 +274,15 @@ export default function (props) {
                           'Queued for refresh.'
                         )}
                       </small>
+                      {data.steamUser.reputationFormula && (
+                        <>
+                          <br />
+                          <small>
+                            <strong>Formula Version: </strong>
+                            {data.steamUser.reputationFormula.version}
+                          </small>
+                        </>
+                      )}
                     </Col>
                     <Col md="4">
                       <h5>Risk Rating</h5>
@@ -259,6 +320,12 @@ export default function (props) {
                     </Col>
                   </Row>
                 </CardBody>
+                {data.steamUser.reputationHistory.length > 1 && (
+                  <CardBody className="border-bottom">
+                    <h4 className="text-center">Reputation History</h4>
+                    <ReputationHistoryChart reputationHistory={data.steamUser.reputationHistory} />
+                  </CardBody>
+                )}
                 <CardBody>
                   <h4 className="text-center">
                     Active Bans ({data.steamUser.activeBans.edges.length})
@@ -286,6 +353,7 @@ export default function (props) {
                           the ban. Please see our FAQ for more information.
                         </UncontrolledTooltip>
                       </th>
+                      <th>Evidence</th>
                       <th>
                         Time{' '}
                         <span id="tooltip-time-active" data-placement="right">
@@ -319,7 +387,10 @@ export default function (props) {
                         </td>
                         <td>{edge.node.banList.name}</td>
                         <td style={{ whiteSpace: 'pre-wrap' }}>
-                          {edge.node.reason.replace(/, /g, '\n')}
+                          <BanReasonCategories reasonCategories={edge.node.reasonCategories} />
+                        </td>
+                        <td>
+                          <BanEvidence evidence={edge.node.evidence} />
                         </td>
                         <td>
                           <BanDates created={edge.node.created} expires={edge.node.expires} />
@@ -362,6 +433,7 @@ export default function (props) {
                           Please see our FAQ for more information.
                         </UncontrolledTooltip>
                       </th>
+                      <th>Evidence</th>
                       <th>
                         Time{' '}
                         <span id="tooltip-time-expired" data-placement="right">
@@ -395,7 +467,10 @@ export default function (props) {
                         </td>
                         <td>{edge.node.banList.name}</td>
                         <td style={{ whiteSpace: 'pre-wrap' }}>
-                          {edge.node.reason.replace(/, /g, '\n')}
+                          <BanReasonCategories reasonCategories={edge.node.reasonCategories} />
+                        </td>
+                        <td>
+                          <BanEvidence evidence={edge.node.evidence} />
                         </td>
                         <td>
                           <BanDates created={edge.node.created} expires={edge.node.expires} />
@@ -431,7 +506,7 @@ export default function (props) {
                 </CardBody>
               </>
             )}
-            {!isValidSteam64ID && <RecentlyViewedSteamUsers />}
+            {!isValidPlayerID && <RecentlyViewedSteamUsers />}
           </Card>
         </Container>
       </section>
@@ -10,6 +10,15 @@ const JWT_AUTH = {
     'Pnc56tlFrlsahFsGt1efxepEZ1xSOBPIcDUZiEhv-UidVDA4Upg7Ao1t8DJFtMo3U-R7hx_rX_okBQBPfthwS428PlQUZmHQgdEMuXb8yktxDhFhzJNzA-hL1mdyJoqhIEUwrL_QtVGrUlrgWpA84fGiGZwubPQYpF1zAD_nHjLkjffxTCidWXJnZNV8IHmju2ZJzKvO6tvbZNrAN6IFWAOtnVYTBiI21vIuC-tpz57x5mS_5XNuiprre0kM4TahVNbc1fhFyvOacaUkbPW82Kj9vgGYzuVBeNnEZYC4zd4UWGJNnLYGKH1yoiHP6QdDgFhqMH4EljZhTvK-NSHOtw'
 };
 
+// SteamIDs of users allowed to use admin only functionality, separated by commas.
+const SYSTEM_ADMINS = (process.env.SYSTEM_ADMINS || '')
+  .split(',')
+  .map((steamID) => steamID.trim())
+  .filter((steamID) => steamID !== '');
+
+// Alter the existing database tables to match the models on startup, e.g. after upgrading.
+const DATABASE_SYNC_ALTER = process.env.DATABASE_SYNC_ALTER === 'true';
+
 // APIs
 const BATTLEMETRICS_API_KEY = process.env.BATTLEMETRICS_API_KEY;
 const BATTLEMETRICS_API_RESERVIOR = process.env.BATTLEMETRICS_API_RESERVIOR || 10;
@@ -18,6 +27,10 @@ const BATTLEMETRICS_ORGANIZATION = process.env.BATTLEMETRICS_ORGANIZATION || '56
 
 const STEAM_API_KEY = process.env.STEAM_API_KEY;
 
+// Games played by the communities whose ban lists are imported.
+const GAMES = ['SQUAD', 'POST_SCRIPTUM', 'BEYOND_THE_WIRE', 'SQUAD_44'];
+const DEFAULT_GAME = 'SQUAD';
+
 // Other constants
 const DISCORD_INVITE = process.env.DISCORD_INVITE || 'https://discord.gg/YXgM3AceYr';
 
@@ -32,6 +45,10 @@ export {
   STEAM_API_KEY,
   LOCALSTORAGE_VERSION,
   JWT_AUTH,
+  SYSTEM_ADMINS,
+  DATABASE_SYNC_ALTER,
+  GAMES,
+  DEFAULT_GAME,
   DISCORD_INVITE,
   INTAKE_FORM
 };
@@ -0,0 +1,405 @@
+import {
+  Ban,
+  BanEvent,
+  BanEvidence,
+  BanList,
+  BanReasonCategory,
+  ClassificationRule,
+  ReasonCategory,
+  SteamUser
+} from './models/index.js';
+import { Op } from './sequelize.js';
+
+import {
+  classifyBanReason,
+  getClassifierVersion,
+  getReasonCategories,
+  Logger,
+  NaiveBayesClassifier
+} from '../utils/index.js';
+
+const RECLASSIFY_BATCH_SIZE = 1000;
+const INFER_BATCH_SIZE = 1000;
+
+// Bans are saved the same way whether they are imported from a ban list or pushed to us by a partner
+// organisation. Operations can be wrapped by passing a retry function, e.g. to retry them on failure.
+const noRetry = (operation) => operation();
+
+export function getBanAttributes(importedBan) {
+  return {
+    id: importedBan.id,
+    created: importedBan.created || Date.now(),
+    expires: importedBan.expires,
+    expired: importedBan.expired,
+    reason: importedBan.reason,
+    classifierVersion: importedBan.classifierVersion,
+    rawReason: importedBan.rawReason,
+    rawNote: importedBan.rawNote,
+    eosID: importedBan.eosID,
+    steamUser: importedBan.steamUser,
+    banList: importedBan.banList.id
+  };
+}
+
+// Lists the changes between a stored ban and its newly imported version as [type, previous, new].
+export function getBanChanges(ban, importedBan) {
+  const changes = [];
+
+  const previousExpires = ban.expires ? ban.expires.toISOString() : null;
+  const newExpires = importedBan.expires ? importedBan.expires.toISOString() : null;
+  if (previousExpires !== newExpires) changes.push(['EXPIRY_CHANGED', previousExpires, newExpires]);
+
+  if ((ban.rawReason || null) !== (importedBan.rawReason || null))
+    changes.push(['REASON_CHANGED', ban.rawReason, importedBan.rawReason]);
+  if (!ban.expired && importedBan.expired) changes.push(['LIFTED', null, null]);
+  if (ban.removedAt) changes.push(['RESTORED', ban.removalReason, null]);
+
+  return changes;
+}
+
+async function saveBanEvidence(importedBan, retry) {
+  // Evidence is extracted from the reason and notes, so replace it whenever they change.
+  await retry(() => BanEvidence.destroy({ where: { ban: importedBan.id } }));
+  if (importedBan.evidence.length === 0) return;
+
+  await retry(() =>
+    BanEvidence.bulkCreate(importedBan.evidence.map((url) => ({ ban: importedBan.id, url })))
+  );
+}
+
+// Maps the names of reason categories to their IDs. Categories are created as they are first used.
+async function getReasonCategoryIDs(names, retry) {
+  const categoryIDs = {};
+  if (names.length === 0) return categoryIDs;
+
+  await retry(() =>
+    ReasonCategory.bulkCreate(
+      names.map((name) => ({ name })),
+      { ignoreDuplicates: true }
+    )
+  );
+  const categories = await retry(() =>
+    ReasonCategory.findAll({ where: { name: { [Op.in]: names } } })
+  );
+  for (const category of categories) categoryIDs[category.name] = category.id;
+
+  return categoryIDs;
+}
+
+// Links bans to the categories of their reason, replacing their existing links, including any
+// inferred ones.
+export async function saveReasonCategories(bans, retry = noRetry) {
+  if (bans.length === 0) return;
+
+  const categoryIDs = await getReasonCategoryIDs(
+    [...new Set(bans.flatMap((ban) => getReasonCategories(ban.reason)))],
+    retry
+  );
+
+  await retry(() =>
+    BanReasonCategory.destroy({ where: { ban: { [Op.in]: bans.map((ban) => ban.id) } } })
+  );
+
+  const links = bans.flatMap((ban) =>
+    getReasonCategories(ban.reason).map((name) => ({
+      ban: ban.id,
+      reasonCategory: categoryIDs[name]
+    }))
+  );
+  if (links.length > 0) await retry(() => BanReasonCategory.bulkCreate(links));
+}
+
+// Creates or updates a ban, created by createImportedBan, and records how it changed. Returns
+// whether the ban was created and whether its Steam user was queued for an update.
+export async function saveBan(importedBan, retry = noRetry) {
+  // Create or find the ban.
+  const [ban, created] = await retry(() =>
+    Ban.findOrCreate({
+      where: {
+        id: importedBan.id
+      },
+      defaults: getBanAttributes(importedBan)
+    })
+  );
+
+  // Queue the Steam user for an update if the ban is new, restored or the ban expired status has
+  // changed.
+  const invalidated = created || !!ban.removedAt || ban.expired !== importedBan.expired;
+  if (invalidated)
+    await retry(() =>
+      SteamUser.update(
+        {
+          lastRefreshedExport: null,
+          lastRefreshedReputationPoints: null,
+          lastRefreshedReputationRank: null
+        },
+        {
+          where: { id: importedBan.steamUser }
+        }
+      )
+    );
+
+  const event = (type, previousValue = null, newValue = null) => ({
+    ban: importedBan.id,
+    type,
+    previousValue,
+    newValue,
+    steamUser: importedBan.steamUser,
+    banList: importedBan.banList.id
+  });
+
+  // If it's created there's no need to update the information.
+  if (created) {
+    await retry(() => BanEvent.create(event('CREATED', null, importedBan.rawReason)));
+    await saveBanEvidence(importedBan, retry);
+    await saveReasonCategories([importedBan], retry);
+    return { created, invalidated };
+  }
+
+  const reasonChanged = ban.reason !== importedBan.reason;
+
+  const notesChanged =
+    (ban.rawReason || null) !== (importedBan.rawReason || null) ||
+    (ban.rawNote || null) !== (importedBan.rawNote || null);
+
+  // Record how the ban has changed since it was last imported.
+  const events = getBanChanges(ban, importedBan).map((change) => event(...change));
+
+  // Update the information.
+  ban.expires = importedBan.expires;
+  ban.expired = importedBan.expired;
+  ban.reason = importedBan.reason;
+  ban.classifierVersion = importedBan.classifierVersion;
+  ban.rawReason = importedBan.rawReason;
+  ban.rawNote = importedBan.rawNote;
+  ban.eosID = importedBan.eosID;
+  ban.removedAt = null;
+  ban.removalReason = null;
+  // Save the updated information.
+  await retry(() => ban.save());
+  if (events.length > 0) await retry(() => BanEvent.bulkCreate(events));
+  if (notesChanged) await saveBanEvidence(importedBan, retry);
+  if (reasonChanged) await saveReasonCategories([importedBan], retry);
+
+  return { created, invalidated };
+}
+
+// Marks bans as removed, keeping them for their history, and queues their Steam users for an update.
+export async function removeBans(bans, removalReason, retry = noRetry) {
+  if (bans.length === 0) return;
+
+  await retry(() =>
+    SteamUser.update(
+      {
+        lastRefreshedInfo: null,
+        lastRefreshedExport: null,
+        lastRefreshedReputationPoints: null,
+        lastRefreshedReputationRank: null
+      },
+      {
+        where: { id: { [Op.in]: bans.map((ban) => ban.steamUser) } }
+      }
+    )
+  );
+
+  await retry(() =>
+    BanEvent.bulkCreate(
+      bans.map((ban) => ({
+        ban: ban.id,
+        type: 'REMOVED',
+        newValue: removalReason,
+        steamUser: ban.steamUser,
+        banList: ban.banList
+      }))
+    )
+  );
+
+  await retry(() =>
+    Ban.update(
+      { removedAt: new Date(), removalReason },
+      { where: { id: { [Op.in]: bans.map((ban) => ban.id) } } }
+    )
+  );
+}
+
+function countCategories(counts, reason) {
+  for (const category of reason.split(', ')) counts[category] = (counts[category] || 0) + 1;
+}
+
+// Re-classifies bans classified by another version of the classifier, e.g. before the rules changed,
+// in batches. Extra conditions can be given to only re-classify some bans. Returns the number of bans
+// checked and re-classified, and how many of the checked bans were in each category before and after.
+export async function reclassifyBans(where = {}) {
+  const banLists = await BanList.findAll({ attributes: ['id', 'game'] });
+  const games = {};
+  for (const banList of banLists) games[banList.id] = banList.game;
+
+  const report = { checked: 0, reclassified: 0, before: {}, after: {} };
+  let lastID = null;
+
+  while (true) {
+    // Reload the rules for each batch, as they may be changed while the job is running, so bans are
+    // not classified with stale rules.
+    await ClassificationRule.load();
+    const version = getClassifierVersion();
+
+    const bans = await Ban.findAll({
+      attributes: ['id', 'reason', 'rawReason', 'rawNote', 'banList'],
+      where: {
+        [Op.and]: [
+          where,
+          { [Op.or]: [{ classifierVersion: null }, { classifierVersion: { [Op.ne]: version } }] },
+          lastID ? { id: { [Op.gt]: lastID } } : {}
+        ]
+      },
+      order: [['id', 'ASC']],
+      limit: RECLASSIFY_BATCH_SIZE
+    });
+    if (bans.length === 0) break;
+    lastID = bans[bans.length - 1].id;
+
+    // Group the bans by their new reason so each batch needs one update per reason.
+    const bansByReason = {};
+    const reclassifiedBans = [];
+    for (const ban of bans) {
+      const reason = classifyBanReason(ban.rawReason, ban.rawNote, games[ban.banList]);
+
+      countCategories(report.before, ban.reason);
+      countCategories(report.after, reason);
+      if (reason !== ban.reason) reclassifiedBans.push({ id: ban.id, reason });
+
+      if (!(reason in bansByReason)) bansByReason[reason] = [];
+      bansByReason[reason].push(ban.id);
+    }
+
+    // Bans imported before reason categories were stored are not linked to them, so link them as
+    // they are checked, even if their reason has not changed.
+    const linkedBanIDs = new Set(
+      (
+        await BanReasonCategory.findAll({
+          attributes: ['ban'],
+          where: { ban: { [Op.in]: bans.map((ban) => ban.id) }, inferred: false }
+        })
+      ).map((link) => link.ban)
+    );
+    const reclassifiedBanIDs = new Set(reclassifiedBans.map((ban) => ban.id));
+    const unlinkedBans = [];
+    for (const [reason, ids] of Object.entries(bansByReason))
+      if (reason !== 'Unknown')
+        for (const id of ids)
+          if (!linkedBanIDs.has(id) && !reclassifiedBanIDs.has(id))
+            unlinkedBans.push({ id, reason });
+
+    for (const [reason, ids] of Object.entries(bansByReason))
+      await Ban.update({ reason, classifierVersion: version }, { where: { id: { [Op.in]: ids } } });
+    await saveReasonCategories([...reclassifiedBans, ...unlinkedBans]);
+
+    report.reclassified += reclassifiedBans.length;
+
+    report.checked += bans.length;
+    Logger.verbose(
+      'BanReclassifier',
+      2,
+      `Re-classified batch of ${bans.length} bans (${report.reclassified} changed so far).`
+    );
+  }
+
+  return report;
+}
+
+// Calls the callback with each batch of bans matching the conditions, in order of their ID.
+export async function forEachBanBatch(attributes, where, batchSize, callback) {
+  let lastID = null;
+
+  while (true) {
+    const bans = await Ban.findAll({
+      attributes: ['id', ...attributes],
+      where: { [Op.and]: [where, lastID ? { id: { [Op.gt]: lastID } } : {}] },
+      order: [['id', 'ASC']],
+      limit: batchSize
+    });
+    if (bans.length === 0) return;
+    lastID = bans[bans.length - 1].id;
+
+    await callback(bans);
+  }
+}
+
+const getBanText = (ban) => [ban.rawReason, ban.rawNote].filter(Boolean).join('\n');
+
+// Suggests categories for bans that no classification rule matched, with a naive Bayes classifier
+// trained on the bans that the rules did classify. Suggestions are linked to the bans as inferred,
+// replacing earlier suggestions, so they can be shown differently from the rule-based categories.
+// Returns the number of bans trained on, checked and given suggestions.
+export async function inferReasonCategories() {
+  const classifier = new NaiveBayesClassifier();
+  const report = { trained: 0, checked: 0, inferred: 0 };
+
+  await forEachBanBatch(
+    ['reason', 'rawReason', 'rawNote'],
+    { reason: { [Op.ne]: 'Unknown' }, removedAt: null },
+    INFER_BATCH_SIZE,
+    (bans) => {
+      for (const ban of bans) classifier.train(getBanText(ban), getReasonCategories(ban.reason));
+      report.trained += bans.length;
+    }
+  );
+
+  await forEachBanBatch(
+    ['rawReason', 'rawNote'],
+    { reason: 'Unknown', removedAt: null },
+    INFER_BATCH_SIZE,
+    async (bans) => {
+      const suggestions = bans.map((ban) => ({
+        ban: ban.id,
+        categories: classifier.classify(getBanText(ban))
+      }));
+
+      const categoryIDs = await getReasonCategoryIDs(
+        [
+          ...new Set(
+            suggestions.flatMap(({ categories }) => categories.map(({ category }) => category))
+          )
+        ],
+        noRetry
+      );
+
+      // Bans with an unknown reason only have inferred links, so all of their links are replaced.
+      await BanReasonCategory.destroy({ where: { ban: { [Op.in]: bans.map((ban) => ban.id) } } });
+
+      const links = suggestions.flatMap(({ ban, categories }) =>
+        categories.map(({ category, confidence }) => ({
+          ban,
+          reasonCategory: categoryIDs[category],
+          inferred: true,
+          confidence
+        }))
+      );
+      if (links.length > 0) await BanReasonCategory.bulkCreate(links);
+
+      report.checked += bans.length;
+      report.inferred += suggestions.filter(({ categories }) => categories.length > 0).length;
+      Logger.verbose(
+        'BanReasonInferrer',
+        2,
+        `Inferred reasons for batch of ${bans.length} bans (${report.inferred} inferred so far).`
+      );
+    }
+  );
+
+  return report;
+}
+
+// Describes a report from reclassifyBans, listing the categories whose ban count changed.
+export function describeReclassification(report) {
+  const lines = [`Checked ${report.checked} bans and re-classified ${report.reclassified}.`];
+
+  const categories = [...new Set([...Object.keys(report.before), ...Object.keys(report.after)])];
+  for (const category of categories.sort()) {
+    const before = report.before[category] || 0;
+    const after = report.after[category] || 0;
+    if (before !== after) lines.push(`${category}: ${before} -> ${after}`);
+  }
+
+  return lines.join('\n');
+}
@@ -1,10 +1,22 @@
 import sequelize from './sequelize.js';
 
+import { DATABASE_SYNC_ALTER } from '../config.js';
+
 import {
   Organisation,
+  OrganisationAPIKey,
   BanList,
   SteamUser,
+  EOSUser,
+  GameReputation,
+  ReputationSnapshot,
   Ban,
+  BanEvent,
+  BanEvidence,
+  ReasonCategory,
+  BanReasonCategory,
+  ClassificationRule,
+  ReputationFormula,
   ExportBanList,
   ExportBanListConfig,
   ExportBan
@@ -15,15 +27,42 @@ export default async function () {
     console.log('Connecting to the CBL database...');
     await sequelize.authenticate();
     console.log('Connected to the CBL database.');
-    console.log('Synchronizing the models...');
-    await Organisation.sync();
-    await BanList.sync();
-    await SteamUser.sync();
-    await Ban.sync();
-    await ExportBanList.sync();
-    await ExportBanListConfig.sync();
-    await ExportBan.sync();
+    // Syncing only creates missing tables, so columns added to existing tables are only created when
+    // the tables are altered to match the models. This is opt-in as altering large tables is slow.
+    const syncOptions = { alter: DATABASE_SYNC_ALTER };
+    console.log(
+      DATABASE_SYNC_ALTER
+        ? 'Synchronizing and altering the models...'
+        : 'Synchronizing the models...'
+    );
+    await Organisation.sync(syncOptions);
+    await OrganisationAPIKey.sync(syncOptions);
+    await BanList.sync(syncOptions);
+    await SteamUser.sync(syncOptions);
+    await EOSUser.sync(syncOptions);
+    await GameReputation.sync(syncOptions);
+    await ReputationSnapshot.sync(syncOptions);
+    await Ban.sync(syncOptions);
+    await BanEvent.sync(syncOptions);
+    await BanEvidence.sync(syncOptions);
+    await ReasonCategory.sync(syncOptions);
+    await BanReasonCategory.sync(syncOptions);
+    await ExportBanList.sync(syncOptions);
+    await ExportBanListConfig.sync(syncOptions);
+    await ExportBan.sync(syncOptions);
+    await ClassificationRule.sync(syncOptions);
+    await ReputationFormula.sync(syncOptions);
     console.log('Synchronized the models.');
+
+    console.log('Loading the ban reason classification rules...');
+    await ClassificationRule.seedDefaults();
+    const rules = await ClassificationRule.load();
+    console.log(`Loaded ${rules.length} ban reason classification rules.`);
+
+    console.log('Loading the reputation formula...');
+    await ReputationFormula.seedDefaults();
+    const formula = await ReputationFormula.load();
+    console.log(`Loaded version ${formula.version} of the reputation formula.`);
   } catch (err) {
     console.log(`Error thrown when connecting to the database: ${err.message}`);
   }
@@ -0,0 +1,46 @@
+import Sequelize from 'sequelize';
+import SequelizeCursorPagination from '@thomas-smyth/sequelize-cursor-pagination';
+
+import sequelize from '../sequelize.js';
+
+const { withRelayPagination } = SequelizeCursorPagination;
+
+const { DataTypes } = Sequelize;
+
+// Changes made to bans over their lifetime. The ban is referenced by ID rather than a foreign key so
+// the history of a ban is kept after it is removed from its ban list.
+export default withRelayPagination({ primaryKeyField: 'id' })(
+  sequelize.define('BanEvent', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    ban: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM(
+        'CREATED',
+        'EXPIRY_CHANGED',
+        'REASON_CHANGED',
+        'LIFTED',
+        'REMOVED',
+        'RESTORED'
+      ),
+      allowNull: false
+    },
+    previousValue: {
+      type: DataTypes.TEXT
+    },
+    newValue: {
+      type: DataTypes.TEXT
+    },
+    timestamp: {
+      type: DataTypes.DATE(6),
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  })
+);
@@ -0,0 +1,18 @@
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+const { DataTypes } = Sequelize;
+
+// Links to evidence found in the reason and notes of bans.
+export default sequelize.define('BanEvidence', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  url: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  }
+});
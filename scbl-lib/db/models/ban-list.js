@@ -2,6 +2,8 @@ import Sequelize from 'sequelize';
 
 import sequelize from '../sequelize.js';
 
+import { DEFAULT_GAME, GAMES } from '../../config.js';
+
 const { DataTypes } = Sequelize;
 
 export default sequelize.define('BanList', {
@@ -16,7 +18,83 @@ export default sequelize.define('BanList', {
   type: {
     type: DataTypes.STRING
   },
+  game: {
+    type: DataTypes.ENUM(...GAMES),
+    allowNull: false,
+    defaultValue: DEFAULT_GAME
+  },
   source: {
     type: DataTypes.TEXT
+  },
+
+  // Headings of the columns in CSV ban lists, keyed by the field they contain.
+  columnMapping: {
+    type: DataTypes.JSON,
+    defaultValue: null
+  },
+
+  // HTTP cache validators from the last import, used to make conditional requests.
+  etag: {
+    type: DataTypes.STRING
+  },
+  lastModified: {
+    type: DataTypes.STRING
+  },
+
+  // Sync times used for incremental syncs of BattleMetrics ban lists.
+  lastSynced: {
+    type: DataTypes.DATE,
+    defaultValue: null
+  },
+  lastFullSync: {
+    type: DataTypes.DATE,
+    defaultValue: null
+  },
+
+  lastImportAttempted: {
+    type: DataTypes.DATE,
+    defaultValue: null
+  },
+  lastImported: {
+    type: DataTypes.DATE,
+    defaultValue: null
+  },
+  lastImportBanCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: null
+  },
+  // Bans that only identify the player by an EOS ID not yet linked to a SteamID, so were skipped.
+  lastImportUnlinkedBanCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: null
+  },
+  importFailureCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastImportError: {
+    type: DataTypes.TEXT
+  },
+  lastImportWarnings: {
+    type: DataTypes.JSON
+  },
+
+  // Mass deletion safeguard. A null maxDeletionPercentage uses the importer's default.
+  maxDeletionPercentage: {
+    type: DataTypes.FLOAT,
+    defaultValue: null
+  },
+  heldDeletionCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: null
+  },
+  deletionsHeldSince: {
+    type: DataTypes.DATE,
+    defaultValue: null
+  },
+  // The number of held deletions confirmed by an admin. More deletions than this are held again.
+  confirmedDeletionCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: null
   }
 });
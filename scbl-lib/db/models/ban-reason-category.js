@@ -0,0 +1,19 @@
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+const { DataTypes } = Sequelize;
+
+// Links bans to their reason categories. Categories matched by the classification rules are stored
+// as is, while categories suggested for bans that no rule matched are stored as inferred, along with
+// the confidence of the suggestion.
+export default sequelize.define('BanReasonCategory', {
+  inferred: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  confidence: {
+    type: DataTypes.FLOAT
+  }
+});
@@ -33,6 +33,25 @@ export default withRelayPagination({ primaryKeyField: 'id' })(
     },
     rawNote: {
       type: DataTypes.TEXT
+    },
+    // Version of the classifier that classified the reason, so bans can be re-classified when the
+    // classification rules change.
+    classifierVersion: {
+      type: DataTypes.STRING(12),
+      defaultValue: null
+    },
+    eosID: {
+      type: DataTypes.STRING(32)
+    },
+
+    // Bans removed from their ban list are kept, but ignored in reputation and export calculations.
+    removedAt: {
+      type: DataTypes.DATE(6),
+      defaultValue: null
+    },
+    removalReason: {
+      type: DataTypes.STRING,
+      defaultValue: null
     }
   })
 );
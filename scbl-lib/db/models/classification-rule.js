@@ -0,0 +1,62 @@
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+import { DEFAULT_CLASSIFICATION_RULES, setClassificationRules } from '../../utils/index.js';
+
+const { DataTypes } = Sequelize;
+
+// Rules used to classify ban reasons into categories. Each rule's pattern is a regex matched case
+// insensitively against the reason, or the notes if nothing matches the reason. A ban gets the
+// category of every matching rule, ordered by the rules' priority.
+class ClassificationRule extends Sequelize.Model {
+  // Seeds an empty rule set with the rules that used to be hard coded in classifyBanReason.
+  static async seedDefaults() {
+    if ((await ClassificationRule.count()) > 0) return;
+    await ClassificationRule.bulkCreate(DEFAULT_CLASSIFICATION_RULES);
+  }
+
+  // Loads the live rule set into classifyBanReason.
+  static async load() {
+    const rules = await ClassificationRule.findAll({ order: [['id', 'ASC']] });
+    setClassificationRules(rules);
+    return rules;
+  }
+}
+
+ClassificationRule.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    category: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    pattern: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Language the pattern is written in, e.g. "de". Null for patterns covering several languages.
+    // Rules can be evaluated by language with scripts/evaluate-classifier.js.
+    language: {
+      type: DataTypes.STRING(10),
+      defaultValue: null
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Games whose bans the rule applies to. Null applies it to every game.
+    games: {
+      type: DataTypes.JSON,
+      defaultValue: null
+    }
+  },
+  { sequelize }
+);
+
+export default ClassificationRule;
@@ -0,0 +1,13 @@
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+const { DataTypes } = Sequelize;
+
+// Epic Online Services IDs, linked to the Steam user they belong to.
+export default sequelize.define('EOSUser', {
+  id: {
+    type: DataTypes.STRING(32),
+    primaryKey: true
+  }
+});
@@ -25,7 +25,7 @@ class ExportBanList extends Sequelize.Model {
           attributes: {
             name: `Community Ban List - ${this.name} (ID: ${this.id})`,
             action: 'none',
-            defaultIdentifiers: ['steamID'],
+            defaultIdentifiers: ['steamID', 'eosID'],
             defaultReasons: ['Banned by the Community Ban List (communitybanlist.com)'],
             defaultAutoAddEnabled: true
           },
@@ -135,10 +135,20 @@ ExportBanList.init(
       type: DataTypes.INTEGER,
       defaultValue: 1
     },
+    // Days after which the points of expired bans halve. 0 disables decay.
+    expiredBanHalfLife: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
     maxBanAge: {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    // Games whose ban lists count towards the export ban list. Null counts every game.
+    games: {
+      type: DataTypes.JSON,
+      defaultValue: null
+    },
 
     discordWebhook: {
       type: DataTypes.STRING
@@ -6,12 +6,17 @@ import { Logger } from '../../utils/index.js';
 
 import sequelize from '../sequelize.js';
 
+import EOSUser from './eos-user.js';
+
 const { DataTypes } = Sequelize;
 
 class ExportBan extends Sequelize.Model {
   async createBattlemetricsBan() {
     if (!this.ExportBanList) await this.getExportBanList();
 
+    // Ban the player's EOS IDs alongside their SteamID.
+    const eosUsers = await EOSUser.findAll({ where: { steamUser: this.steamUser } });
+
     Logger.verbose('ExportBan', 2, 'Creating Battlemetrics ban...');
     const {
       data: { data: banData }
@@ -30,7 +35,12 @@ class ExportBan extends Sequelize.Model {
                 type: 'steamID',
                 identifier: this.steamUser,
                 manual: true
-              }
+              },
+              ...eosUsers.map((eosUser) => ({
+                type: 'eosID',
+                identifier: eosUser.id,
+                manual: true
+              }))
             ],
             nativeEnabled: null,
             note: null,
@@ -0,0 +1,50 @@
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+import { GAMES } from '../../config.js';
+
+const { DataTypes } = Sequelize;
+
+// Reputation of Steam users from the bans on ban lists of a single game. The reputation on SteamUsers
+// counts bans from every game.
+export default sequelize.define('GameReputation', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  game: {
+    type: DataTypes.ENUM(...GAMES),
+    allowNull: false
+  },
+
+  reputationPoints: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  reputationPointsMonthBefore: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  reputationPointsMonthChange: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastRefreshedReputationPoints: {
+    type: DataTypes.DATE,
+    defaultValue: null
+  },
+  // Version of the reputation formula that calculated the reputation points.
+  reputationFormulaVersion: {
+    type: DataTypes.INTEGER,
+    defaultValue: null
+  },
+
+  reputationRank: {
+    type: DataTypes.INTEGER
+  },
+  lastRefreshedReputationRank: {
+    type: DataTypes.DATE,
+    defaultValue: null
+  }
+});
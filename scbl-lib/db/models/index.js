@@ -1,9 +1,19 @@
 import Ban from './ban.js';
+import BanEvent from './ban-event.js';
+import BanEvidence from './ban-evidence.js';
 import BanList from './ban-list.js';
+import BanReasonCategory from './ban-reason-category.js';
+import ClassificationRule from './classification-rule.js';
+import EOSUser from './eos-user.js';
 import ExportBan from './export-ban.js';
 import ExportBanList from './export-ban-list.js';
 import ExportBanListConfig from './export-ban-list-configs.js';
+import GameReputation from './game-reputation.js';
 import Organisation from './organisation.js';
+import OrganisationAPIKey from './organisation-api-key.js';
+import ReasonCategory from './reason-category.js';
+import ReputationFormula from './reputation-formula.js';
+import ReputationSnapshot from './reputation-snapshot.js';
 import SteamUser from './steam-user.js';
 
 // Assign relationships
@@ -14,11 +24,55 @@ Ban.belongsTo(SteamUser, {
   onDelete: 'CASCADE'
 });
 
+Ban.belongsToMany(ReasonCategory, {
+  through: BanReasonCategory,
+  foreignKey: 'ban',
+  otherKey: 'reasonCategory'
+});
+
+ReasonCategory.belongsToMany(Ban, {
+  through: BanReasonCategory,
+  foreignKey: 'reasonCategory',
+  otherKey: 'ban'
+});
+
+BanEvidence.belongsTo(Ban, { foreignKey: { name: 'ban', allowNull: false }, onDelete: 'CASCADE' });
+
+BanEvent.belongsTo(BanList, {
+  foreignKey: { name: 'banList', allowNull: false },
+  onDelete: 'CASCADE'
+});
+
+BanEvent.belongsTo(SteamUser, {
+  foreignKey: { name: 'steamUser', allowNull: false },
+  onDelete: 'CASCADE'
+});
+
+EOSUser.belongsTo(SteamUser, {
+  foreignKey: { name: 'steamUser', allowNull: false },
+  onDelete: 'CASCADE'
+});
+
+GameReputation.belongsTo(SteamUser, {
+  foreignKey: { name: 'steamUser', allowNull: false },
+  onDelete: 'CASCADE'
+});
+
+ReputationSnapshot.belongsTo(SteamUser, {
+  foreignKey: { name: 'steamUser', allowNull: false },
+  onDelete: 'CASCADE'
+});
+
 BanList.belongsTo(Organisation, {
   foreignKey: { name: 'organisation', allowNull: false },
   onDelete: 'CASCADE'
 });
 
+OrganisationAPIKey.belongsTo(Organisation, {
+  foreignKey: { name: 'organisation', allowNull: false },
+  onDelete: 'CASCADE'
+});
+
 ExportBan.belongsTo(SteamUser, {
   foreignKey: { name: 'steamUser', allowNull: false },
   onDelete: 'CASCADE'
@@ -44,4 +98,22 @@ ExportBanListConfig.belongsTo(ExportBanList, {
   onDelete: 'CASCADE'
 });
 
-export { Ban, BanList, ExportBan, ExportBanList, ExportBanListConfig, Organisation, SteamUser };
+export {
+  Ban,
+  BanEvent,
+  BanEvidence,
+  BanList,
+  BanReasonCategory,
+  ClassificationRule,
+  EOSUser,
+  ExportBan,
+  ExportBanList,
+  ExportBanListConfig,
+  GameReputation,
+  Organisation,
+  OrganisationAPIKey,
+  ReasonCategory,
+  ReputationFormula,
+  ReputationSnapshot,
+  SteamUser
+};
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+const { DataTypes } = Sequelize;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API keys that partner organisations use to push bans to their ban lists. Only a hash of each key
+// is stored, so keys cannot be recovered once they have been given to the organisation.
+class OrganisationAPIKey extends Sequelize.Model {
+  static async generate(organisation, name) {
+    const key = `cbl_${crypto.randomBytes(32).toString('hex')}`;
+    const apiKey = await OrganisationAPIKey.create({ organisation, name, keyHash: hashKey(key) });
+
+    return [apiKey, key];
+  }
+
+  static findByKey(key) {
+    return OrganisationAPIKey.findOne({ where: { keyHash: hashKey(key) } });
+  }
+}
+
+OrganisationAPIKey.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    lastUsed: {
+      type: DataTypes.DATE
+    }
+  },
+  { sequelize }
+);
+
+export default OrganisationAPIKey;
@@ -0,0 +1,20 @@
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+const { DataTypes } = Sequelize;
+
+// Categories that ban reasons are classified into. Bans are linked to each of their categories, so
+// they can be filtered and counted by category.
+export default sequelize.define('ReasonCategory', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  }
+});
@@ -0,0 +1,79 @@
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+import { DEFAULT_REPUTATION_FORMULA, setReputationFormula } from '../../utils/index.js';
+
+const { DataTypes } = Sequelize;
+
+const versions = {};
+
+// Versions of the formula used to calculate reputation points and risk ratings. Versions are never
+// changed once created, so scores can be traced back to the formula that produced them. The latest
+// version is the live formula.
+class ReputationFormula extends Sequelize.Model {
+  get version() {
+    return this.id;
+  }
+
+  // Seeds the first version with the formula that used to be hard coded in the reputation queries.
+  static async seedDefaults() {
+    if ((await ReputationFormula.count()) > 0) return;
+    await ReputationFormula.create(DEFAULT_REPUTATION_FORMULA);
+  }
+
+  // Loads the latest version into getReputationFormula.
+  static async load() {
+    const formula = await ReputationFormula.findOne({ order: [['id', 'DESC']] });
+    setReputationFormula(formula);
+    return formula;
+  }
+
+  // Finds a version of the formula. Versions are cached, as they never change, but failed lookups
+  // and versions that do not exist yet are not, so they are looked up again next time.
+  static async findVersion(version) {
+    if (!(version in versions))
+      versions[version] = ReputationFormula.findByPk(version).then(
+        (formula) => {
+          if (!formula) delete versions[version];
+          return formula;
+        },
+        (err) => {
+          delete versions[version];
+          throw err;
+        }
+      );
+    return versions[version];
+  }
+}
+
+ReputationFormula.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    activeBanListPoints: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    expiredBanPoints: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // In days. 0 disables decay.
+    expiredBanHalfLife: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    riskRatingMaxPoints: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    }
+  },
+  { sequelize }
+);
+
+export default ReputationFormula;
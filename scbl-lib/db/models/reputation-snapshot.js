@@ -0,0 +1,41 @@
+import Sequelize from 'sequelize';
+
+import sequelize from '../sequelize.js';
+
+const { DataTypes } = Sequelize;
+
+// Daily snapshots of the reputation of Steam users, so their reputation can be tracked over time.
+// Snapshots are taken each time reputation is updated, replacing earlier snapshots from the same day.
+export default sequelize.define(
+  'ReputationSnapshot',
+  {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+
+    reputationPoints: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    reputationRank: {
+      type: DataTypes.INTEGER
+    },
+    activeBans: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    expiredBans: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  },
+  {
+    // Leaderboards look up the latest snapshot of each Steam user before a date.
+    indexes: [{ fields: ['steamUser', 'date'] }]
+  }
+);
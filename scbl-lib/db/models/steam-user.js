@@ -54,6 +54,11 @@ export default withRelayPagination({ primaryKeyField: 'id' })(
       type: DataTypes.DATE,
       defaultValue: null
     },
+    // Version of the reputation formula that calculated the reputation points.
+    reputationFormulaVersion: {
+      type: DataTypes.INTEGER,
+      defaultValue: null
+    },
 
     reputationRank: {
       type: DataTypes.INTEGER
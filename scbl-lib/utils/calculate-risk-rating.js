@@ -1,5 +1,7 @@
-const MAX = 9;
+import { getReputationFormula } from './reputation-formula.js';
 
-export default function (reputationPoints = 0) {
-  return reputationPoints === 0 ? 0 : Math.min(Math.round((reputationPoints / MAX) * 100) / 10, 10);
+// Risk ratings should be calculated with the formula that calculated the reputation points.
+export default function (reputationPoints = 0, formula = getReputationFormula()) {
+  const max = formula.riskRatingMaxPoints;
+  return reputationPoints === 0 ? 0 : Math.min(Math.round((reputationPoints / max) * 100) / 10, 10);
 }
@@ -1,3 +1,7 @@
+import crypto from 'crypto';
+
+import { DEFAULT_GAME } from '../config.js';
+
 const reasons = {
   // Need to organize
   Cheating: /cheat|hack|作弊|\bhile|trich|betr(ü|u)|Чітер|Софт|Чіти/i,
@@ -45,18 +49,80 @@ const reasons = {
   Pedophilia: /pedoph(il)?(ia|e)|paedoph(il)?(ia|e)|child porn|kinderporn|csam/i
 };
 
-export default function (...reason) {
-  const classifiedReasons = [];
+// Reasons that only exist in some games, e.g. there are no helicopters outside of Squad.
+const gameReasons = {
+  'Helicopter Ramming': ['SQUAD']
+};
+
+// The rules above are the default rule set, used to seed the ClassificationRules table. The live rule
+// set is loaded from the database with setClassificationRules.
+export const DEFAULT_CLASSIFICATION_RULES = Object.entries(reasons).map(([category, regex]) => ({
+  category,
+  pattern: regex.source,
+  language: null,
+  priority: 0,
+  games: gameReasons[category] || null
+}));
+
+// Patterns are matched case insensitively.
+export function compileClassificationRule(rule) {
+  return {
+    category: rule.category,
+    regex: new RegExp(rule.pattern, 'i'),
+    priority: rule.priority || 0,
+    games: rule.games || null
+  };
+}
+
+// The version of a rule set is a hash of the rules, so it changes whenever a rule does.
+function getRulesVersion(rules) {
+  const hash = crypto.createHash('sha1');
+  rules
+    .map((rule) =>
+      JSON.stringify([rule.category, rule.pattern, rule.priority || 0, rule.games || null])
+    )
+    .sort()
+    .forEach((rule) => hash.update(rule));
+  return hash.digest('hex').slice(0, 12);
+}
+
+let rules = DEFAULT_CLASSIFICATION_RULES.map(compileClassificationRule);
+let version = getRulesVersion(DEFAULT_CLASSIFICATION_RULES);
 
-  for (const [type, regex] of Object.entries(reasons)) {
-    if (regex.test(reason[0])) classifiedReasons.push(type);
-  }
+export function setClassificationRules(newRules) {
+  rules = newRules.map(compileClassificationRule);
+  version = getRulesVersion(newRules);
+}
+
+export function getClassifierVersion() {
+  return version;
+}
+
+export default function (reason, note, game = DEFAULT_GAME) {
+  // The priority of each matched category, which is the highest priority of its matching rules.
+  const classifiedReasons = {};
+
+  const gameRules = rules.filter((rule) => !rule.games || rule.games.includes(game));
 
-  if (classifiedReasons.length === 0 && reason.length > 1) {
-    for (const [type, regex] of Object.entries(reasons)) {
-      if (regex.test(reason[1])) classifiedReasons.push(type);
+  const classify = (text) => {
+    for (const rule of gameRules) {
+      if (!rule.regex.test(text)) continue;
+      if (!(rule.category in classifiedReasons) || classifiedReasons[rule.category] < rule.priority)
+        classifiedReasons[rule.category] = rule.priority;
     }
-  }
-  classifiedReasons.sort();
-  return classifiedReasons.length > 0 ? classifiedReasons.join(', ') : 'Unknown';
+  };
+
+  classify(reason);
+  if (Object.keys(classifiedReasons).length === 0 && note) classify(note);
+
+  // Order categories by priority, then alphabetically.
+  const categories = Object.keys(classifiedReasons).sort(
+    (a, b) => classifiedReasons[b] - classifiedReasons[a] || (a < b ? -1 : a > b ? 1 : 0)
+  );
+  return categories.length > 0 ? categories.join(', ') : 'Unknown';
+}
+
+// Splits a reason returned by classifyBanReason back into its categories.
+export function getReasonCategories(reason) {
+  return !reason || reason === 'Unknown' ? [] : reason.split(', ');
 }
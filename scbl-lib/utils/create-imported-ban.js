@@ -0,0 +1,32 @@
+import classifyBanReason, { getClassifierVersion } from './classify-ban-reason.js';
+import extractEvidenceLinks from './extract-evidence-links.js';
+
+// Creates a ban in the shape expected by saveBan from scbl-lib/db/bans. Bans must identify the player
+// by SteamID, EOS ID or both. EOS only bans are resolved to a SteamID where the link between the two
+// is known.
+export default function ({ id, banList, steamUser, eosID, created, expires, reason, note }) {
+  // Dates past the year 9999 are used by some lists to represent permanent bans.
+  if (expires instanceof Date && expires.getFullYear() > 9999) expires = null;
+
+  steamUser = steamUser ? steamUser.trim() : null;
+  eosID = eosID ? eosID.trim().toLowerCase() : null;
+
+  return {
+    id: `${banList.id},${id || `${steamUser || eosID},${expires ? expires.getTime() : 'null'}`}`,
+
+    steamUser: steamUser,
+    eosID: eosID,
+
+    created: created,
+    expires: expires,
+    expired: !(expires === null || expires.getTime() > Date.now()),
+
+    reason: classifyBanReason(reason, note, banList.game),
+    classifierVersion: getClassifierVersion(),
+    rawReason: reason,
+    rawNote: note,
+    evidence: extractEvidenceLinks(reason, note),
+
+    banList: banList
+  };
+}
@@ -0,0 +1,45 @@
+// Hosts that partner organisations use to share evidence for bans. Subdomains are also matched.
+const EVIDENCE_HOSTS = [
+  'youtube.com',
+  'youtu.be',
+  'medal.tv',
+  'imgur.com',
+  'cdn.discordapp.com',
+  'media.discordapp.net',
+  'streamable.com',
+  'twitch.tv',
+  'gyazo.com',
+  'prnt.sc',
+  'outplayed.tv'
+];
+
+const URL_REGEX = /https?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION_REGEX = /[.,;:!?)\]}]+$/;
+
+function isEvidenceHost(hostname) {
+  hostname = hostname.toLowerCase();
+  return EVIDENCE_HOSTS.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+export default function (...texts) {
+  const links = new Set();
+
+  for (const text of texts) {
+    if (typeof text !== 'string') continue;
+
+    for (const match of text.match(URL_REGEX) || []) {
+      const link = match.replace(TRAILING_PUNCTUATION_REGEX, '');
+
+      let url;
+      try {
+        url = new URL(link);
+      } catch (err) {
+        continue;
+      }
+
+      if (isEvidenceHost(url.hostname)) links.add(link);
+    }
+  }
+
+  return [...links];
+}
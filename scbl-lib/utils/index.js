@@ -1,13 +1,41 @@
 import calculateRiskRating from './calculate-risk-rating.js';
-import classifyBanReason from './classify-ban-reason.js';
+import classifyBanReason, {
+  compileClassificationRule,
+  DEFAULT_CLASSIFICATION_RULES,
+  getClassifierVersion,
+  getReasonCategories,
+  setClassificationRules
+} from './classify-ban-reason.js';
 import createDiscordWebhookMessage from './create-discord-webhook-message.js';
+import createImportedBan from './create-imported-ban.js';
+import extractEvidenceLinks from './extract-evidence-links.js';
 import Logger from './logger.js';
+import NaiveBayesClassifier from './naive-bayes-classifier.js';
+import { isEOSID, isSteamID } from './player-identifiers.js';
+import {
+  DEFAULT_REPUTATION_FORMULA,
+  getReputationFormula,
+  setReputationFormula
+} from './reputation-formula.js';
 import testDiscordWebhook from './test-discord-webhook.js';
 
 export {
   calculateRiskRating,
   classifyBanReason,
+  compileClassificationRule,
   createDiscordWebhookMessage,
+  createImportedBan,
+  DEFAULT_CLASSIFICATION_RULES,
+  DEFAULT_REPUTATION_FORMULA,
+  extractEvidenceLinks,
+  getClassifierVersion,
+  getReasonCategories,
+  getReputationFormula,
+  isEOSID,
+  isSteamID,
   Logger,
+  NaiveBayesClassifier,
+  setClassificationRules,
+  setReputationFormula,
   testDiscordWebhook
 };
@@ -0,0 +1,106 @@
+// Suggestions below this confidence are too unreliable to be shown.
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+// Words must appear in this many training reasons to be used, so typos and names are ignored.
+const MIN_WORD_DOCUMENTS = 2;
+
+const URL_REGEX = /https?:\/\/\S+/gi;
+const WORD_SEPARATOR_REGEX = /[^\p{L}\p{N}]+/u;
+const DIACRITIC_REGEX = /[\u0300-\u036f]/g;
+// Scripts written without spaces between words.
+const UNSPACED_SCRIPT_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// Splits a reason into the distinct words in it. Words are lowercased and have their accents removed,
+// so reasons written with and without accents share words. Text in scripts without spaces is split
+// into pairs of characters instead.
+export function tokenize(text) {
+  if (typeof text !== 'string') return [];
+
+  const words = text
+    .replace(URL_REGEX, ' ')
+    .normalize('NFKD')
+    .replace(DIACRITIC_REGEX, '')
+    .toLowerCase()
+    .split(WORD_SEPARATOR_REGEX)
+    .flatMap((word) => {
+      if (!UNSPACED_SCRIPT_REGEX.test(word)) return word.length > 1 ? [word] : [];
+
+      const characters = [...word];
+      if (characters.length === 1) return [];
+      return characters.slice(1).map((character, index) => characters[index] + character);
+    });
+
+  return [...new Set(words)];
+}
+
+// A multinomial naive Bayes classifier over the words in ban reasons. It is trained on reasons that
+// have already been classified and suggests categories, with a confidence, for reasons that could not
+// be. Each word is counted once per reason, which works better for short texts.
+export default class NaiveBayesClassifier {
+  constructor() {
+    this.documents = 0;
+    this.categoryDocuments = {};
+    this.categoryWords = {};
+    this.categoryWordCounts = {};
+    this.wordDocuments = {};
+    this.vocabularySize = 0;
+  }
+
+  train(text, categories) {
+    const words = tokenize(text);
+    if (words.length === 0 || categories.length === 0) return;
+
+    this.documents++;
+    for (const word of words) {
+      if (!(word in this.wordDocuments)) {
+        this.wordDocuments[word] = 0;
+        this.vocabularySize++;
+      }
+      this.wordDocuments[word]++;
+    }
+
+    for (const category of categories) {
+      if (!(category in this.categoryDocuments)) {
+        this.categoryDocuments[category] = 0;
+        this.categoryWords[category] = {};
+        this.categoryWordCounts[category] = 0;
+      }
+
+      this.categoryDocuments[category]++;
+      this.categoryWordCounts[category] += words.length;
+      for (const word of words)
+        this.categoryWords[category][word] = (this.categoryWords[category][word] || 0) + 1;
+    }
+  }
+
+  // Returns the categories of a reason whose confidence is at least the minimum, most confident first.
+  // Reasons without any known words have no categories, rather than the most common category.
+  classify(text, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+    const words = tokenize(text).filter(
+      (word) => (this.wordDocuments[word] || 0) >= MIN_WORD_DOCUMENTS
+    );
+    if (words.length === 0) return [];
+
+    const categories = Object.keys(this.categoryDocuments);
+    const logLikelihoods = categories.map((category) => {
+      // Laplace smoothing stops unseen words from ruling out a category.
+      const denominator = this.categoryWordCounts[category] + this.vocabularySize;
+
+      let logLikelihood = Math.log(this.categoryDocuments[category] / this.documents);
+      for (const word of words)
+        logLikelihood += Math.log(((this.categoryWords[category][word] || 0) + 1) / denominator);
+      return logLikelihood;
+    });
+
+    // Normalise the likelihoods into probabilities, relative to the largest to avoid underflow.
+    const maxLogLikelihood = Math.max(...logLikelihoods);
+    const likelihoods = logLikelihoods.map((logLikelihood) =>
+      Math.exp(logLikelihood - maxLogLikelihood)
+    );
+    const total = likelihoods.reduce((sum, likelihood) => sum + likelihood, 0);
+
+    return categories
+      .map((category, index) => ({ category, confidence: likelihoods[index] / total }))
+      .filter(({ confidence }) => confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
@@ -0,0 +1,12 @@
+const STEAM_ID_REGEX = /^[0-9]{17}$/;
+const EOS_ID_REGEX = /^[0-9a-f]{32}$/i;
+
+function isSteamID(id) {
+  return typeof id === 'string' && STEAM_ID_REGEX.test(id);
+}
+
+function isEOSID(id) {
+  return typeof id === 'string' && EOS_ID_REGEX.test(id);
+}
+
+export { isEOSID, isSteamID };
@@ -0,0 +1,29 @@
+// The parameters of the formula used to calculate reputation points and risk ratings. A player gets
+// activeBanListPoints for each ban list they have an active ban on and expiredBanPoints for each of
+// their expired bans. Expired ban points halve every expiredBanHalfLife days after the ban expired,
+// or never decay if it is 0. Risk ratings scale reputation points so that riskRatingMaxPoints points
+// or more is a risk rating of 10.
+export const DEFAULT_REPUTATION_FORMULA = {
+  activeBanListPoints: 3,
+  expiredBanPoints: 1,
+  expiredBanHalfLife: 0,
+  riskRatingMaxPoints: 9
+};
+
+// The live formula is loaded from the database with setReputationFormula. Its version is null until
+// then.
+let formula = { version: null, ...DEFAULT_REPUTATION_FORMULA };
+
+export function setReputationFormula(newFormula) {
+  formula = {
+    version: newFormula.version,
+    activeBanListPoints: newFormula.activeBanListPoints,
+    expiredBanPoints: newFormula.expiredBanPoints,
+    expiredBanHalfLife: newFormula.expiredBanHalfLife,
+    riskRatingMaxPoints: newFormula.riskRatingMaxPoints
+  };
+}
+
+export function getReputationFormula() {
+  return formula;
+}
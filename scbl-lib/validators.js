@@ -23,7 +23,11 @@ export default {
     defaultExpiredPoints: yup
       .number()
       .required('A default number of points per expired ban is required.'),
+    expiredBanHalfLife: yup
+      .number()
+      .min(0, 'The expired ban half-life must be a positive integer or zero.'),
     maxBanAge: yup.number().min(0, 'The max ban age must be a positive integer or zero.'),
+    games: yup.array().of(yup.string()).nullable(),
     discordWebhook: yup
       .string()
       .url('Invalid Discord Webhook')
@@ -0,0 +1,255 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  classifyBanReason,
+  DEFAULT_CLASSIFICATION_RULES,
+  setClassificationRules
+} from 'scbl-lib/utils';
+
+const DEFAULT_CORPUS = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'classifier-corpus.json'
+);
+
+const USAGE = `Usage: node scripts/evaluate-classifier.js [options]
+
+Reports the precision and recall of each ban reason category across a labelled corpus of raw ban
+reasons. When a candidate rule set is given, it is evaluated instead and the corpus entries whose
+classification it changes are listed.
+
+Options:
+  --corpus <file>              Corpus to evaluate against. (default: scripts/classifier-corpus.json)
+  --live                       Use the rule set in the database instead of the default rules.
+  --rules <file>               Candidate rule set, a JSON array of rules as printed by --dump-rules.
+  --set <category>=<pattern>   Candidate rule set with the category's rules replaced by the pattern.
+                               May be repeated.
+  --language <code>            Only use the rules written in this language, e.g. "de", and those
+                               covering several languages, to evaluate a language's rules.
+  --dump-rules                 Print the rule set as JSON, for editing into a candidate rule set.
+  --verbose                    List every misclassified corpus entry.`;
+
+function parseArgs(args) {
+  const options = {
+    corpus: DEFAULT_CORPUS,
+    live: false,
+    rules: null,
+    set: [],
+    language: null,
+    verbose: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--corpus' || arg === '--rules') {
+      if (!args[i + 1]) throw new Error(`${arg} requires a file.`);
+      options[arg.slice(2)] = args[++i];
+    } else if (arg === '--set') {
+      const value = args[++i] || '';
+      const separator = value.indexOf('=');
+      if (separator < 1) throw new Error('--set requires a <category>=<pattern> value.');
+      options.set.push({
+        category: value.slice(0, separator),
+        pattern: value.slice(separator + 1)
+      });
+    } else if (arg === '--language') {
+      if (!args[i + 1]) throw new Error('--language requires a language code.');
+      options.language = args[++i].toLowerCase();
+    } else if (arg === '--live') {
+      options.live = true;
+    } else if (arg === '--dump-rules') {
+      options.dumpRules = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// The database is only needed for the live rule set, so it is not imported otherwise.
+async function loadLiveRules() {
+  const { connect, disconnect } = await import('scbl-lib/db');
+  const { ClassificationRule } = await import('scbl-lib/db/models');
+
+  await connect();
+  const rules = await ClassificationRule.findAll({ order: [['id', 'ASC']] });
+  await disconnect();
+
+  return rules.map((rule) => {
+    const { category, pattern, language, priority, games } = rule.toJSON();
+    return { category, pattern, language, priority, games };
+  });
+}
+
+// Rules without a language cover several languages, so they are used for every language.
+const filterRulesByLanguage = (rules, language) =>
+  language
+    ? rules.filter((rule) => !rule.language || rule.language.toLowerCase() === language)
+    : rules;
+
+function classifyCorpus(corpus, rules) {
+  setClassificationRules(rules);
+
+  return corpus.map((entry) => {
+    const reason = classifyBanReason(entry.reason, entry.note, entry.game);
+    return reason === 'Unknown' ? [] : reason.split(', ');
+  });
+}
+
+function evaluate(corpus, classifications) {
+  const categories = {};
+  const getCategory = (category) =>
+    categories[category] ||
+    (categories[category] = { truePositives: 0, falsePositives: 0, falseNegatives: 0 });
+
+  corpus.forEach((entry, index) => {
+    for (const category of classifications[index]) {
+      if (entry.categories.includes(category)) getCategory(category).truePositives++;
+      else getCategory(category).falsePositives++;
+    }
+    for (const category of entry.categories)
+      if (!classifications[index].includes(category)) getCategory(category).falseNegatives++;
+  });
+
+  return categories;
+}
+
+const formatRatio = (numerator, denominator) =>
+  denominator === 0 ? '-' : ((numerator / denominator) * 100).toFixed(1) + '%';
+
+const formatCategories = (categories) =>
+  categories.length > 0 ? categories.join(', ') : 'Unknown';
+
+function printReport(categories) {
+  const rows = Object.entries(categories)
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([category, { truePositives, falsePositives, falseNegatives }]) => [
+      category,
+      `${truePositives + falseNegatives}`,
+      `${truePositives}`,
+      `${falsePositives}`,
+      `${falseNegatives}`,
+      formatRatio(truePositives, truePositives + falsePositives),
+      formatRatio(truePositives, truePositives + falseNegatives)
+    ]);
+
+  // Micro averages weight every classification equally across categories.
+  const totals = Object.values(categories).reduce(
+    (sum, category) => ({
+      truePositives: sum.truePositives + category.truePositives,
+      falsePositives: sum.falsePositives + category.falsePositives,
+      falseNegatives: sum.falseNegatives + category.falseNegatives
+    }),
+    { truePositives: 0, falsePositives: 0, falseNegatives: 0 }
+  );
+  rows.push([
+    'Overall',
+    `${totals.truePositives + totals.falseNegatives}`,
+    `${totals.truePositives}`,
+    `${totals.falsePositives}`,
+    `${totals.falseNegatives}`,
+    formatRatio(totals.truePositives, totals.truePositives + totals.falsePositives),
+    formatRatio(totals.truePositives, totals.truePositives + totals.falseNegatives)
+  ]);
+
+  const header = ['Category', 'Labelled', 'TP', 'FP', 'FN', 'Precision', 'Recall'];
+  const widths = header.map((heading, column) =>
+    Math.max(heading.length, ...rows.map((row) => row[column].length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) =>
+        column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+      )
+      .join('  ');
+
+  console.log(formatRow(header));
+  console.log(widths.map((width) => '-'.repeat(width)).join('  '));
+  for (const row of rows.slice(0, -1)) console.log(formatRow(row));
+  console.log(widths.map((width) => '-'.repeat(width)).join('  '));
+  console.log(formatRow(rows[rows.length - 1]));
+}
+
+const isCorrect = (entry, categories) =>
+  formatCategories([...entry.categories].sort()) === formatCategories([...categories].sort());
+
+function printEntries(title, entries) {
+  console.log(`\n${title} (${entries.length}):`);
+  for (const { entry, before, after } of entries) {
+    console.log(`  "${entry.reason}"${entry.note ? ` (note: "${entry.note}")` : ''}`);
+    if (before) console.log(`    Before:   ${formatCategories(before)}`);
+    console.log(`    ${before ? 'After:    ' : 'Got:      '}${formatCategories(after)}`);
+    console.log(`    Expected: ${formatCategories(entry.categories)}`);
+  }
+}
+
+async function main(options) {
+  if (options.help) return console.log(USAGE);
+
+  const baselineRules = options.live ? await loadLiveRules() : DEFAULT_CLASSIFICATION_RULES;
+
+  if (options.dumpRules) return console.log(JSON.stringify(baselineRules, null, 2));
+
+  let candidateRules = null;
+  if (options.rules) candidateRules = JSON.parse(fs.readFileSync(options.rules, 'utf8'));
+  if (options.set.length > 0) {
+    candidateRules = candidateRules || baselineRules;
+    for (const { category, pattern } of options.set)
+      candidateRules = [
+        ...candidateRules.filter((rule) => rule.category !== category),
+        { category, pattern, language: null, priority: 0, games: null }
+      ];
+  }
+
+  const corpus = JSON.parse(fs.readFileSync(options.corpus, 'utf8'));
+  const baseline = classifyCorpus(corpus, filterRulesByLanguage(baselineRules, options.language));
+  const candidate = candidateRules
+    ? classifyCorpus(corpus, filterRulesByLanguage(candidateRules, options.language))
+    : null;
+  const classifications = candidate || baseline;
+
+  console.log(
+    `Evaluating the ${candidate ? 'candidate' : options.live ? 'live' : 'default'} rule set${
+      options.language ? ` for language "${options.language}"` : ''
+    } against ${corpus.length} corpus entries.\n`
+  );
+  printReport(evaluate(corpus, classifications));
+
+  if (candidate) {
+    const changes = [];
+    corpus.forEach((entry, index) => {
+      if (formatCategories(baseline[index]) !== formatCategories(candidate[index]))
+        changes.push({ entry, before: baseline[index], after: candidate[index] });
+    });
+    printEntries('Classification changes caused by the candidate rule set', changes);
+  }
+
+  if (options.verbose) {
+    const misclassified = [];
+    corpus.forEach((entry, index) => {
+      if (!isCorrect(entry, classifications[index]))
+        misclassified.push({ entry, after: classifications[index] });
+    });
+    printEntries('Misclassified entries', misclassified);
+  }
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+main(options).catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+import { connect } from 'scbl-lib/db';
+import { forEachBanBatch } from 'scbl-lib/db/bans';
+import { Ban, BanEvidence } from 'scbl-lib/db/models';
+import { extractEvidenceLinks } from 'scbl-lib/utils';
+
+const BATCH_SIZE = 1000;
+
+// Extracts evidence links from bans imported before evidence was extracted on import.
+async function main() {
+  await connect();
+  const count = await Ban.count();
+  console.log(`${count} Bans To Extract Evidence From`);
+
+  await forEachBanBatch(['rawReason', 'rawNote'], {}, BATCH_SIZE, async (bans) => {
+    for (const ban of bans) {
+      const links = extractEvidenceLinks(ban.rawReason, ban.rawNote);
+      if (links.length === 0) continue;
+
+      console.log(`[DEBUG] Saving ${links.length} evidence links for Ban: ${ban.id}`);
+      await BanEvidence.destroy({ where: { ban: ban.id } });
+      await BanEvidence.bulkCreate(links.map((url) => ({ ban: ban.id, url })));
+    }
+  });
+}
+
+main();
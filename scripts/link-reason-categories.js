@@ -0,0 +1,32 @@
+import { connect } from 'scbl-lib/db';
+import { saveReasonCategories } from 'scbl-lib/db/bans';
+import { Ban } from 'scbl-lib/db/models';
+import { Op } from 'scbl-lib/db/sequelize';
+
+const BATCH_SIZE = 1000;
+
+// Links bans imported before reason categories were stored to the categories of their reason. Bans
+// are also linked as they are re-classified, so this is only needed for bans that were already
+// classified with the live rules.
+async function main() {
+  await connect();
+  const count = await Ban.count();
+  console.log(`${count} Bans To Link To Reason Categories`);
+
+  let lastID = null;
+  while (true) {
+    const bans = await Ban.findAll({
+      attributes: ['id', 'reason'],
+      where: lastID ? { id: { [Op.gt]: lastID } } : undefined,
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+    if (bans.length === 0) break;
+    lastID = bans[bans.length - 1].id;
+
+    console.log(`[DEBUG] Linking ${bans.length} Bans up to Ban: ${lastID}`);
+    await saveReasonCategories(bans);
+  }
+}
+
+main();
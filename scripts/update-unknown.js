@@ -1,20 +1,12 @@
 import { connect } from 'scbl-lib/db';
-import { Ban } from 'scbl-lib/db/models';
-import { classifyBanReason } from 'scbl-lib/utils';
+import { describeReclassification, reclassifyBans } from 'scbl-lib/db/bans';
 
+// Re-classifies Unknown bans that were classified with older classification rules. Use the ban
+// importer's reclassify command to re-classify every ban.
 async function main() {
   await connect();
-  const bans = await Ban.findAll({ where: { reason: 'unknown' } });
-  console.log(`${bans.length} Unknown Bans To Classify`);
-  for (const ban of bans) {
-    const old = ban.reason;
-    ban.reason = classifyBanReason(ban.rawReason, ban.rawNote);
-    if (old !== ban.reason) {
-      console.log(old, ban.reason);
-      console.log(`[DEBUG] Updating Ban: ${ban.reason}`);
-      await ban.save();
-    }
-  }
+  const report = await reclassifyBans({ reason: 'Unknown' });
+  console.log(describeReclassification(report));
 }
 
 main();
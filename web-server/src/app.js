@@ -14,6 +14,7 @@ import views from 'koa-views';
 import { passport, routes as routesAuth } from './auth/index.js';
 import ApolloServer from './graphql-api/index.js';
 import ExportBanLists from './export-ban-lists.js';
+import PushBans from './push-bans.js';
 
 import { sequelize } from 'scbl-lib/db';
 
@@ -50,6 +51,7 @@ if (inProduction) app.use(views(path.join(clientPath, '/build')));
 router.use('/auth', routesAuth.routes(), routesAuth.allowedMethods());
 ApolloServer.applyMiddleware({ app });
 router.use('/export', ExportBanLists.routes(), ExportBanLists.allowedMethods());
+router.use('/push', PushBans.routes(), PushBans.allowedMethods());
 
 router.get('/health-check', async (ctx) => {
   await sequelize.authenticate();
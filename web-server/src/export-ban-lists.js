@@ -1,13 +1,22 @@
 import Router from 'koa-router';
 
-import { ExportBan } from 'scbl-lib/db/models';
+import { EOSUser, ExportBan } from 'scbl-lib/db/models';
+import { Op } from 'scbl-lib/db/sequelize';
 
 const router = new Router();
 
 router.get('/:id', async (ctx) => {
   const exportBans = await ExportBan.findAll({ where: { exportBanList: ctx.params.id } });
 
-  ctx.body = exportBans.map((exportBan) => `${exportBan.steamUser}:0`).join('\n');
+  // Ban the player's EOS IDs alongside their SteamID.
+  const eosUsers = await EOSUser.findAll({
+    where: { steamUser: { [Op.in]: exportBans.map((exportBan) => exportBan.steamUser) } }
+  });
+
+  ctx.body = [
+    ...exportBans.map((exportBan) => `${exportBan.steamUser}:0`),
+    ...eosUsers.map((eosUser) => `${eosUser.id}:0`)
+  ].join('\n');
 });
 
 export default router;
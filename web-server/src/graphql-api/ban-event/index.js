@@ -0,0 +1,4 @@
+import typedef from './typedef.js';
+import resolver from './resolver.js';
+
+export { typedef, resolver };
@@ -0,0 +1,20 @@
+import { Ban, BanList, SteamUser } from 'scbl-lib/db/models';
+
+export default {
+  BanEvent: {
+    banID: (parent) => {
+      return parent.ban;
+    },
+    ban: async (parent, filter, context) => {
+      const ban = await Ban.findByPk(parent.ban);
+      if (!ban || (ban.removedAt && !context.isSystemAdmin)) return null;
+      return ban;
+    },
+    steamUser: (parent) => {
+      return SteamUser.findByPk(parent.steamUser);
+    },
+    banList: (parent) => {
+      return BanList.findByPk(parent.banList);
+    }
+  }
+};
@@ -0,0 +1,26 @@
+import ApolloServerKoa from 'apollo-server-koa';
+const { gql } = ApolloServerKoa;
+
+export default gql`
+  type BanEvent {
+    id: Int
+    banID: String
+    ban: Ban
+    steamUser: SteamUser
+    banList: BanList
+    type: BanEventType
+    previousValue: String
+    newValue: String
+    timestamp: Date
+  }
+
+  type BanEventConnection {
+    edges: [BanEventEdge]
+    pageInfo: PageInfo
+  }
+
+  type BanEventEdge {
+    cursor: String
+    node: BanEvent
+  }
+`;
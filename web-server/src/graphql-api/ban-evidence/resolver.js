@@ -0,0 +1,7 @@
+export default {
+  BanEvidence: {
+    host: (parent) => {
+      return new URL(parent.url).hostname.replace(/^www\./, '');
+    }
+  }
+};
@@ -0,0 +1,10 @@
+import ApolloServerKoa from 'apollo-server-koa';
+const { gql } = ApolloServerKoa;
+
+export default gql`
+  type BanEvidence {
+    id: Int
+    url: String
+    host: String
+  }
+`;
@@ -5,6 +5,45 @@ export default gql`
   type BanList {
     id: Int
     name: String
+    type: String
+    game: Game
     organisation: Organisation
+
+    lastImportAttempted: Date
+    lastImported: Date
+    lastImportBanCount: Int
+    lastImportUnlinkedBanCount: Int
+    importFailureCount: Int
+    lastImportError: String
+    lastImportWarnings: [String]
+    lastSynced: Date
+    lastFullSync: Date
+
+    columnMapping: BanListColumnMapping
+
+    maxDeletionPercentage: Float
+    heldDeletionCount: Int
+    deletionsHeldSince: Date
+    confirmedDeletionCount: Int
+  }
+
+  type BanListColumnMapping {
+    id: String
+    steamID: String
+    eosID: String
+    created: String
+    expires: String
+    reason: String
+    note: String
+  }
+
+  input BanListColumnMappingInput {
+    id: String
+    steamID: String
+    eosID: String
+    created: String
+    expires: String
+    reason: String
+    note: String
   }
 `;
@@ -0,0 +1,29 @@
+import { sequelize } from 'scbl-lib/db';
+import { BanList } from 'scbl-lib/db/models';
+import { Op } from 'scbl-lib/db/sequelize';
+
+// Builds the conditions for the filters shared by the ban connections.
+export default async function getBanWhere(filter, context) {
+  const where = {};
+
+  // Only system admins may see bans that have been removed from their ban list.
+  if (!(filter.includeRemoved && context.isSystemAdmin)) where.removedAt = null;
+
+  if (filter.games) {
+    const banLists = await BanList.findAll({ attributes: ['id'], where: { game: filter.games } });
+    where.banList = banLists.map((banList) => banList.id);
+  }
+
+  // Include bans in any of the reason categories. Inferred categories are only suggestions, so they
+  // are not filtered on.
+  if (filter.reasonCategories)
+    where.id = {
+      [Op.in]: sequelize.literal(
+        `(SELECT BRC.ban FROM BanReasonCategories BRC JOIN ReasonCategories RC ON BRC.reasonCategory = RC.id WHERE NOT BRC.inferred AND RC.name IN (${filter.reasonCategories
+          .map((name) => sequelize.escape(name))
+          .join(', ')}))`
+      )
+    };
+
+  return where;
+}
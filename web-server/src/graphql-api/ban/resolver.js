@@ -1,4 +1,4 @@
-import { BanList, SteamUser } from 'scbl-lib/db/models';
+import { Ban, BanEvent, BanEvidence, BanList, ReasonCategory, SteamUser } from 'scbl-lib/db/models';
 
 export default {
   Ban: {
@@ -7,6 +7,46 @@ export default {
     },
     banList: (parent) => {
       return BanList.findByPk(parent.banList);
+    },
+    reasonCategories: async (parent) => {
+      const categories = await ReasonCategory.findAll({
+        include: [
+          {
+            model: Ban,
+            attributes: ['id'],
+            where: { id: parent.id },
+            through: { attributes: ['inferred', 'confidence'] }
+          }
+        ],
+        order: [['name', 'ASC']]
+      });
+
+      // Whether a category was inferred is stored on its link to the ban.
+      return categories.map((category) => {
+        const { inferred, confidence } = category.Bans[0].BanReasonCategory;
+        return { id: category.id, name: category.name, inferred, confidence };
+      });
+    },
+    evidence: (parent) => {
+      return BanEvidence.findAll({ where: { ban: parent.id }, order: [['id', 'ASC']] });
+    },
+    events: (parent) => {
+      return BanEvent.findAll({ where: { ban: parent.id }, order: [['timestamp', 'ASC']] });
+    }
+  },
+  ReasonCategory: {
+    banCount: (parent) => {
+      return Ban.count({
+        where: { removedAt: null },
+        include: [
+          {
+            model: ReasonCategory,
+            attributes: [],
+            where: { id: parent.id },
+            through: { where: { inferred: false } }
+          }
+        ]
+      });
     }
   }
 };
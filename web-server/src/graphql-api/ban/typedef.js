@@ -5,11 +5,25 @@ export default gql`
   type Ban {
     id: String
     steamUser: SteamUser
+    eosID: String
     created: Date
     expires: Date
     expired: Boolean
-    reason: String
+    reason: String @deprecated(reason: "Use reasonCategories.")
+    reasonCategories: [ReasonCategory]
     banList: BanList
+    removedAt: Date
+    removalReason: String
+    evidence: [BanEvidence]
+    events: [BanEvent]
+  }
+
+  type ReasonCategory {
+    id: Int
+    name: String
+    inferred: Boolean
+    confidence: Float
+    banCount: Int
   }
 
   type BanConnection {
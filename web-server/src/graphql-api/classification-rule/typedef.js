@@ -0,0 +1,15 @@
+import ApolloServerKoa from 'apollo-server-koa';
+const { gql } = ApolloServerKoa;
+
+export default gql`
+  type ClassificationRule {
+    id: Int
+    category: String
+    pattern: String
+    language: String
+    priority: Int
+    games: [Game]
+    createdAt: Date
+    updatedAt: Date
+  }
+`;
@@ -1,5 +1,5 @@
 import graphql from 'graphql';
-const { GraphQLScalarType } = graphql;
+const { GraphQLScalarType, Kind } = graphql;
 
 export default {
   Date: new GraphQLScalarType({
@@ -8,6 +8,12 @@ export default {
     parseValue(value) {
       return new Date(value); // value from the client
     },
+    parseLiteral(ast) {
+      // Dates written inline in queries, as ISO 8601 strings or timestamps in milliseconds.
+      if (ast.kind === Kind.STRING) return new Date(ast.value);
+      if (ast.kind === Kind.INT) return new Date(parseInt(ast.value));
+      return undefined;
+    },
     serialize(value) {
       return new Date(value).toISOString(); // value sent to the client
     }
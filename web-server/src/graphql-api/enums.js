@@ -10,4 +10,27 @@ export default gql`
   enum BanOrderBy {
     created
   }
+
+  enum Game {
+    SQUAD
+    POST_SCRIPTUM
+    BEYOND_THE_WIRE
+    SQUAD_44
+  }
+
+  enum LeaderboardWindow {
+    WEEK
+    MONTH
+    QUARTER
+    YEAR
+  }
+
+  enum BanEventType {
+    CREATED
+    EXPIRY_CHANGED
+    REASON_CHANGED
+    LIFTED
+    REMOVED
+    RESTORED
+  }
 `;
@@ -12,7 +12,9 @@ export default gql`
     threshold: Int
     defaultActivePoints: Int
     defaultExpiredPoints: Int
+    expiredBanHalfLife: Int
     maxBanAge: Int
+    games: [Game]
 
     discordWebhook: String
 
@@ -0,0 +1,15 @@
+import { ReputationFormula } from 'scbl-lib/db/models';
+
+import getRiskRating from '../reputation-formula/risk-rating.js';
+
+export default {
+  GameReputation: {
+    riskRating: (parent) => {
+      return getRiskRating(parent);
+    },
+    reputationFormula: (parent) => {
+      if (!parent.reputationFormulaVersion) return null;
+      return ReputationFormula.findVersion(parent.reputationFormulaVersion);
+    }
+  }
+};
@@ -0,0 +1,17 @@
+import ApolloServerKoa from 'apollo-server-koa';
+const { gql } = ApolloServerKoa;
+
+export default gql`
+  type GameReputation {
+    game: Game
+
+    reputationPoints: Int
+    reputationPointsMonthBefore: Int
+    reputationPointsMonthChange: Int
+    lastRefreshedReputationPoints: Date
+    riskRating: Float
+    reputationFormula: ReputationFormula
+    reputationRank: Int
+    lastRefreshedReputationRank: Date
+  }
+`;
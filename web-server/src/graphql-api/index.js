@@ -1,7 +1,7 @@
 import ApolloServerKoa from 'apollo-server-koa';
 import jwt from 'jsonwebtoken';
 
-import { JWT_AUTH } from 'scbl-lib/config';
+import { JWT_AUTH, SYSTEM_ADMINS } from 'scbl-lib/config';
 
 import typeDefs from './typedefs.js';
 import resolvers from './resolvers.js';
@@ -15,11 +15,13 @@ export default new ApolloServer({
   schema,
   context: async ({ ctx }) => {
     try {
-      return {
-        user: jwt.verify(ctx.get('JWT'), JWT_AUTH.SECRET, { algorithms: [JWT_AUTH.ALGORITHM] }).user
-      };
+      const { user } = jwt.verify(ctx.get('JWT'), JWT_AUTH.SECRET, {
+        algorithms: [JWT_AUTH.ALGORITHM]
+      });
+
+      return { user, isSystemAdmin: SYSTEM_ADMINS.includes(user.id) };
     } catch (err) {
-      return { user: null };
+      return { user: null, isSystemAdmin: false };
     }
   }
 });
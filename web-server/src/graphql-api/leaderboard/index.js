@@ -0,0 +1,3 @@
+import typedef from './typedef.js';
+
+export { typedef };
@@ -0,0 +1,184 @@
+import { sequelize } from 'scbl-lib/db';
+import { SteamUser } from 'scbl-lib/db/models';
+import { getReputationFormula } from 'scbl-lib/utils';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// The start of each window, relative to today.
+const WINDOW_INTERVALS = {
+  WEEK: '1 WEEK',
+  MONTH: '1 MONTH',
+  QUARTER: '3 MONTH',
+  YEAR: '1 YEAR'
+};
+
+// Scores are the reputation points players gained over the window, from the latest snapshot of their
+// reputation before it started. Players without an earlier snapshot are scored by the points of the
+// bans they received over the window, calculated the same way as their reputation points.
+const reputationScoreQuery = (window) => `
+  SELECT
+    SU.id AS "steamUser",
+    SU.reputationPoints AS "reputationPoints",
+    IF(
+      LRS.steamUser IS NULL,
+      IFNULL(WB.points, 0),
+      SU.reputationPoints - RS.reputationPoints
+    ) AS "score"
+  FROM SteamUsers SU
+  LEFT JOIN (
+    SELECT steamUser, MAX(date) AS "date"
+    FROM ReputationSnapshots
+    WHERE date <= CURDATE() - INTERVAL ${WINDOW_INTERVALS[window]}
+    GROUP BY steamUser
+  ) LRS ON SU.id = LRS.steamUser
+  LEFT JOIN ReputationSnapshots RS ON LRS.steamUser = RS.steamUser AND LRS.date = RS.date
+  LEFT JOIN (
+    SELECT
+      PPBL.steamUser,
+      ROUND(SUM(PPBL.points)) AS "points"
+    FROM (
+      SELECT
+        B.steamUser,
+        IF(
+          SUM(
+            IF(
+              B.expires IS NULL OR B.expires >= NOW(),
+              1,
+              0
+            )
+          ) > 0,
+          :activeBanListPoints,
+          0
+        ) +
+        SUM(
+          IF(
+            B.expires IS NULL OR B.expires >= NOW(),
+            0,
+            :expiredBanPoints *
+              IF(
+                :expiredBanHalfLife = 0,
+                1,
+                POW(0.5, DATEDIFF(NOW(), B.expires) / :expiredBanHalfLife)
+              )
+          )
+        ) AS "points"
+      FROM Bans B
+      WHERE B.removedAt IS NULL
+        AND B.created >= CURDATE() - INTERVAL ${WINDOW_INTERVALS[window]}
+      GROUP BY B.banList, B.steamUser
+    ) PPBL
+    GROUP BY PPBL.steamUser
+  ) WB ON SU.id = WB.steamUser
+`;
+
+// Snapshots do not record the categories of reputation points, so scores within a reason category
+// are the number of bans in it that players received over the window. Inferred categories are only
+// suggestions, so they are not counted.
+const reasonCategoryScoreQuery = (window) => `
+  SELECT
+    SU.id AS "steamUser",
+    SU.reputationPoints AS "reputationPoints",
+    COUNT(*) AS "score"
+  FROM Bans B
+  JOIN BanReasonCategories BRC ON B.id = BRC.ban AND NOT BRC.inferred
+  JOIN ReasonCategories RC ON BRC.reasonCategory = RC.id
+  JOIN SteamUsers SU ON B.steamUser = SU.id
+  WHERE RC.name = :reasonCategory
+    AND B.removedAt IS NULL
+    AND B.created >= CURDATE() - INTERVAL ${WINDOW_INTERVALS[window]}
+  GROUP BY SU.id, SU.reputationPoints
+`;
+
+// Cursors hold the position of an entry in the order of the leaderboard, so pages can be fetched
+// with a keyset rather than an offset.
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify([row.score, row.reputationPoints, row.steamUser])).toString('base64');
+
+function decodeCursor(cursor) {
+  try {
+    const [score, reputationPoints, steamUser] = JSON.parse(
+      Buffer.from(cursor, 'base64').toString('utf8')
+    );
+    if (![score, reputationPoints].every(Number.isInteger) || typeof steamUser !== 'string')
+      throw new Error();
+    return { score, reputationPoints, steamUser };
+  } catch (err) {
+    throw new Error('Invalid cursor.');
+  }
+}
+
+// Ranks the players with the highest scores over a window. Ties are ordered by reputation points, so
+// the players with the higher risk ranking come first.
+export default async function getLeaderboard(filter) {
+  if (!(filter.window in WINDOW_INTERVALS)) throw new Error('Invalid leaderboard window.');
+  if (filter.first !== undefined && (filter.first < 1 || filter.first > MAX_PAGE_SIZE))
+    throw new Error(`first must be between 1 and ${MAX_PAGE_SIZE}.`);
+
+  const first = filter.first || DEFAULT_PAGE_SIZE;
+  const after = filter.after ? decodeCursor(filter.after) : null;
+  const { activeBanListPoints, expiredBanPoints, expiredBanHalfLife } = getReputationFormula();
+
+  const rows = await sequelize.query(
+    `
+      SELECT L.steamUser, L.reputationPoints, L.score
+      FROM (
+        ${
+          filter.reasonCategory
+            ? reasonCategoryScoreQuery(filter.window)
+            : reputationScoreQuery(filter.window)
+        }
+      ) L
+      WHERE L.score > 0 ${
+        after
+          ? `AND (
+            L.score < :score OR
+            (L.score = :score AND L.reputationPoints < :reputationPoints) OR
+            (L.score = :score AND L.reputationPoints = :reputationPoints AND L.steamUser > :steamUser)
+          )`
+          : ''
+      }
+      ORDER BY L.score DESC, L.reputationPoints DESC, L.steamUser ASC
+      LIMIT :limit
+    `,
+    {
+      type: sequelize.QueryTypes.SELECT,
+      replacements: {
+        reasonCategory: filter.reasonCategory || null,
+        activeBanListPoints,
+        expiredBanPoints,
+        expiredBanHalfLife,
+        ...after,
+        // Fetch an extra row to find whether there is a next page.
+        limit: first + 1
+      }
+    }
+  );
+
+  const page = rows.slice(0, first).map((row) => ({
+    ...row,
+    score: parseInt(row.score),
+    reputationPoints: parseInt(row.reputationPoints)
+  }));
+
+  const steamUsers = await SteamUser.findAll({
+    where: { id: page.map((row) => row.steamUser) }
+  });
+  const steamUsersByID = {};
+  for (const steamUser of steamUsers) steamUsersByID[steamUser.id] = steamUser;
+
+  const edges = page.map((row) => ({
+    cursor: encodeCursor(row),
+    node: { steamUser: steamUsersByID[row.steamUser], score: row.score }
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: rows.length > first,
+      hasPreviousPage: !!after,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    }
+  };
+}
@@ -0,0 +1,19 @@
+import ApolloServerKoa from 'apollo-server-koa';
+const { gql } = ApolloServerKoa;
+
+export default gql`
+  type LeaderboardEntry {
+    steamUser: SteamUser
+    score: Int
+  }
+
+  type LeaderboardConnection {
+    edges: [LeaderboardEdge]
+    pageInfo: PageInfo
+  }
+
+  type LeaderboardEdge {
+    cursor: String
+    node: LeaderboardEntry
+  }
+`;
@@ -1,5 +1,59 @@
-import { BanList, ExportBanList, ExportBanListConfig } from 'scbl-lib/db/models';
-import { testDiscordWebhook } from 'scbl-lib/utils';
+import {
+  Ban,
+  BanList,
+  ClassificationRule,
+  ExportBanList,
+  ExportBanListConfig,
+  Organisation,
+  OrganisationAPIKey,
+  ReputationFormula,
+  SteamUser
+} from 'scbl-lib/db/models';
+import { describeReclassification, reclassifyBans } from 'scbl-lib/db/bans';
+import { Op } from 'scbl-lib/db/sequelize';
+import { compileClassificationRule, Logger, testDiscordWebhook } from 'scbl-lib/utils';
+
+function validateClassificationRule(args) {
+  if ('category' in args && (!args.category || args.category.length > 40))
+    throw new Error('A category between 1 and 40 characters long is required.');
+  if ('language' in args && args.language && args.language.length > 10)
+    throw new Error('Languages must be at most 10 characters long.');
+
+  if ('pattern' in args) {
+    if (!args.pattern) throw new Error('A pattern is required.');
+    try {
+      compileClassificationRule(args);
+    } catch (err) {
+      throw new Error(`Invalid pattern: ${err.message}`);
+    }
+  }
+}
+
+let reclassification = Promise.resolve();
+
+// Reloads the live rule set and re-classifies bans in the background, as it can take a while. Runs are
+// queued so that bans end up classified with the latest rules.
+async function applyClassificationRuleChange() {
+  await ClassificationRule.load();
+
+  reclassification = reclassification
+    .then(() => reclassifyBans())
+    .then((report) =>
+      Logger.verbose(
+        'ClassificationRule',
+        1,
+        `Re-classified bans after a rule change.\n${describeReclassification(report)}`
+      )
+    )
+    .catch((err) =>
+      Logger.verbose(
+        'ClassificationRule',
+        1,
+        'Failed to re-classify bans after a rule change.',
+        err
+      )
+    );
+}
 
 export default {
   Mutation: {
@@ -13,6 +67,8 @@ export default {
         throw new Error('Invalid export ban list type.');
       if (args.maxBanAge !== undefined && args.maxBanAge < 0)
         throw new Error('The max ban age must be a positive integer or zero.');
+      if (args.expiredBanHalfLife !== undefined && args.expiredBanHalfLife < 0)
+        throw new Error('The expired ban half-life must be a positive integer or zero.');
       if (args.discordWebhook) await testDiscordWebhook(args.discordWebhook);
 
       // Create export ban list.
@@ -23,7 +79,9 @@ export default {
         threshold: args.threshold,
         defaultActivePoints: args.defaultActivePoints,
         defaultExpiredPoints: args.defaultExpiredPoints,
+        expiredBanHalfLife: args.expiredBanHalfLife,
         maxBanAge: args.maxBanAge,
+        games: args.games && args.games.length > 0 ? args.games : null,
         discordWebhook: args.discordWebhook,
         owner: context.user.id
       });
@@ -45,9 +103,14 @@ export default {
       // Validate arguments.
       if (args.maxBanAge !== undefined && args.maxBanAge < 0)
         throw new Error('The max ban age must be a positive integer or zero.');
+      if (args.expiredBanHalfLife !== undefined && args.expiredBanHalfLife < 0)
+        throw new Error('The expired ban half-life must be a positive integer or zero.');
       if (args.discordWebhook && args.discordWebhook !== exportBanList.discordWebhook)
         await testDiscordWebhook(args.discordWebhook);
 
+      // An empty list of games counts every game.
+      const games = args.games && args.games.length > 0 ? args.games : null;
+
       // Check whether the ban list needs generating.
       if (
         ('threshold' in args && args.threshold !== exportBanList.threshold) ||
@@ -55,7 +118,10 @@ export default {
           args.defaultActivePoints !== exportBanList.defaultActivePoints) ||
         ('defaultExpiredPoints' in args &&
           args.defaultExpiredPoints !== exportBanList.defaultExpiredPoints) ||
-        ('maxBanAge' in args && args.maxBanAge !== exportBanList.maxBanAge)
+        ('expiredBanHalfLife' in args &&
+          args.expiredBanHalfLife !== exportBanList.expiredBanHalfLife) ||
+        ('maxBanAge' in args && args.maxBanAge !== exportBanList.maxBanAge) ||
+        ('games' in args && JSON.stringify(games) !== JSON.stringify(exportBanList.games))
       ) {
         exportBanList.generated = false;
       }
@@ -68,7 +134,9 @@ export default {
         exportBanList.defaultActivePoints = args.defaultActivePoints;
       if ('defaultExpiredPoints' in args)
         exportBanList.defaultExpiredPoints = args.defaultExpiredPoints;
+      if ('expiredBanHalfLife' in args) exportBanList.expiredBanHalfLife = args.expiredBanHalfLife;
       if ('maxBanAge' in args) exportBanList.maxBanAge = args.maxBanAge;
+      if ('games' in args) exportBanList.games = games;
       if ('discordWebhook' in args) exportBanList.discordWebhook = args.discordWebhook;
 
       await exportBanList.save();
@@ -130,6 +198,173 @@ export default {
 
       await exportBanListConfig.destroy();
       return exportBanListConfig;
+    },
+
+    confirmHeldBanDeletions: async (parent, args) => {
+      const banList = await BanList.findByPk(args.banList);
+
+      if (!banList) throw new Error('Ban list does not exist!');
+      if (!banList.heldDeletionCount) throw new Error('Ban list has no held deletions.');
+
+      // The held deletions are carried out on the next import of the ban list, unless more bans
+      // have been deleted from it by then.
+      banList.confirmedDeletionCount = banList.heldDeletionCount;
+      await banList.save();
+
+      return banList;
+    },
+
+    updateBanListDeletionSafeguard: async (parent, args) => {
+      const banList = await BanList.findByPk(args.banList);
+
+      if (!banList) throw new Error('Ban list does not exist!');
+      if (
+        args.maxDeletionPercentage != null &&
+        (args.maxDeletionPercentage < 0 || args.maxDeletionPercentage > 100)
+      )
+        throw new Error('The max deletion percentage must be between 0 and 100.');
+
+      // Omitting the percentage resets the ban list to the importer's default.
+      banList.maxDeletionPercentage =
+        args.maxDeletionPercentage == null ? null : args.maxDeletionPercentage;
+      await banList.save();
+
+      return banList;
+    },
+
+    updateBanListGame: async (parent, args) => {
+      const banList = await BanList.findByPk(args.banList);
+
+      if (!banList) throw new Error('Ban list does not exist!');
+      if (banList.game === args.game) return banList;
+
+      banList.game = args.game;
+      await banList.save();
+
+      // Queue the players on the ban list for an update so their per game reputation is moved to the
+      // new game.
+      const bans = await Ban.findAll({
+        attributes: ['steamUser'],
+        where: { banList: banList.id, removedAt: null }
+      });
+      await SteamUser.update(
+        {
+          lastRefreshedExport: null,
+          lastRefreshedReputationPoints: null,
+          lastRefreshedReputationRank: null
+        },
+        { where: { id: { [Op.in]: bans.map((ban) => ban.steamUser) } } }
+      );
+
+      return banList;
+    },
+
+    updateBanListColumnMapping: async (parent, args) => {
+      const banList = await BanList.findByPk(args.banList);
+
+      if (!banList) throw new Error('Ban list does not exist!');
+      if (banList.type !== 'csv')
+        throw new Error('Column mappings can only be set on CSV ban lists.');
+
+      // Drop unset columns so they fall back to their default headings.
+      const columnMapping = {};
+      for (const [key, heading] of Object.entries(args.columnMapping || {}))
+        if (heading) columnMapping[key] = heading.trim();
+
+      if (Object.values(columnMapping).some((heading) => heading.length === 0))
+        throw new Error('Column headings cannot be blank.');
+
+      banList.columnMapping = Object.keys(columnMapping).length > 0 ? columnMapping : null;
+      await banList.save();
+
+      return banList;
+    },
+
+    createClassificationRule: async (parent, args) => {
+      validateClassificationRule(args);
+
+      const rule = await ClassificationRule.create({
+        category: args.category,
+        pattern: args.pattern,
+        language: args.language || null,
+        priority: args.priority || 0,
+        games: args.games && args.games.length > 0 ? args.games : null
+      });
+
+      await applyClassificationRuleChange();
+
+      return rule;
+    },
+
+    updateClassificationRule: async (parent, args) => {
+      const rule = await ClassificationRule.findByPk(args.id);
+
+      if (!rule) throw new Error('Classification rule does not exist!');
+      validateClassificationRule(args);
+
+      if ('category' in args) rule.category = args.category;
+      if ('pattern' in args) rule.pattern = args.pattern;
+      if ('language' in args) rule.language = args.language || null;
+      if ('priority' in args) rule.priority = args.priority || 0;
+      if ('games' in args) rule.games = args.games && args.games.length > 0 ? args.games : null;
+
+      await rule.save();
+      await applyClassificationRuleChange();
+
+      return rule;
+    },
+
+    deleteClassificationRule: async (parent, args) => {
+      const rule = await ClassificationRule.findByPk(args.id);
+
+      if (!rule) throw new Error('Classification rule does not exist!');
+
+      await rule.destroy();
+      await applyClassificationRuleChange();
+
+      return rule;
+    },
+
+    // Formulas are versioned, so changing the formula creates a new version. Reputation points are
+    // recalculated with it the next time reputation is updated.
+    createReputationFormula: async (parent, args) => {
+      if (args.activeBanListPoints < 0 || args.expiredBanPoints < 0)
+        throw new Error('Points must be a positive integer or zero.');
+      if (args.expiredBanHalfLife !== undefined && args.expiredBanHalfLife < 0)
+        throw new Error('The expired ban half-life must be a positive integer or zero.');
+      if (args.riskRatingMaxPoints < 1)
+        throw new Error('The risk rating max points must be a positive integer.');
+
+      const formula = await ReputationFormula.create({
+        activeBanListPoints: args.activeBanListPoints,
+        expiredBanPoints: args.expiredBanPoints,
+        expiredBanHalfLife: args.expiredBanHalfLife || 0,
+        riskRatingMaxPoints: args.riskRatingMaxPoints
+      });
+      await ReputationFormula.load();
+
+      return formula;
+    },
+
+    createOrganisationAPIKey: async (parent, args) => {
+      const organisation = await Organisation.findByPk(args.organisation);
+
+      if (!organisation) throw new Error('Organisation does not exist!');
+      if (args.name.length < 1 || args.name.length > 40)
+        throw new Error('A name between 1 and 40 characters long is required.');
+
+      const [apiKey, key] = await OrganisationAPIKey.generate(organisation.id, args.name);
+
+      return { ...apiKey.toJSON(), key };
+    },
+
+    deleteOrganisationAPIKey: async (parent, args) => {
+      const apiKey = await OrganisationAPIKey.findByPk(args.id);
+
+      if (!apiKey) throw new Error('API key does not exist!');
+
+      await apiKey.destroy();
+      return apiKey;
     }
   }
 };
@@ -10,7 +10,9 @@ export default gql`
       threshold: Int
       defaultActivePoints: Int
       defaultExpiredPoints: Int
+      expiredBanHalfLife: Int
       maxBanAge: Int
+      games: [Game]
       discordWebhook: String
     ): ExportBanList
 
@@ -21,7 +23,9 @@ export default gql`
       threshold: Int
       defaultActivePoints: Int
       defaultExpiredPoints: Int
+      expiredBanHalfLife: Int
       maxBanAge: Int
+      games: [Game]
       discordWebhook: String
     ): ExportBanList
 
@@ -35,5 +39,39 @@ export default gql`
     ): ExportBanListConfig
 
     deleteExportBanListConfig(id: Int!): ExportBanListConfig
+
+    confirmHeldBanDeletions(banList: Int!): BanList @systemAdminOnly
+    updateBanListDeletionSafeguard(banList: Int!, maxDeletionPercentage: Float): BanList
+      @systemAdminOnly
+    updateBanListGame(banList: Int!, game: Game!): BanList @systemAdminOnly
+    updateBanListColumnMapping(banList: Int!, columnMapping: BanListColumnMappingInput): BanList
+      @systemAdminOnly
+
+    createClassificationRule(
+      category: String!
+      pattern: String!
+      language: String
+      priority: Int
+      games: [Game]
+    ): ClassificationRule @systemAdminOnly
+    updateClassificationRule(
+      id: Int!
+      category: String
+      pattern: String
+      language: String
+      priority: Int
+      games: [Game]
+    ): ClassificationRule @systemAdminOnly
+    deleteClassificationRule(id: Int!): ClassificationRule @systemAdminOnly
+
+    createReputationFormula(
+      activeBanListPoints: Int!
+      expiredBanPoints: Int!
+      expiredBanHalfLife: Int
+      riskRatingMaxPoints: Int!
+    ): ReputationFormula @systemAdminOnly
+
+    createOrganisationAPIKey(organisation: Int!, name: String!): OrganisationAPIKey @systemAdminOnly
+    deleteOrganisationAPIKey(id: Int!): OrganisationAPIKey @systemAdminOnly
   }
 `;
@@ -1,4 +1,4 @@
-import { BanList } from 'scbl-lib/db/models';
+import { BanList, OrganisationAPIKey } from 'scbl-lib/db/models';
 
 export default {
   Organisation: {
@@ -7,6 +7,12 @@ export default {
         where: { organisation: parent.id },
         order: [['name', 'ASC']]
       });
+    },
+    apiKeys: (parent) => {
+      return OrganisationAPIKey.findAll({
+        where: { organisation: parent.id },
+        order: [['name', 'ASC']]
+      });
     }
   }
 };
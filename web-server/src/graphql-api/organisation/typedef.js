@@ -8,5 +8,16 @@ export default gql`
     discord: String
 
     banLists: [BanList]
+    apiKeys: [OrganisationAPIKey] @systemAdminOnly
+  }
+
+  type OrganisationAPIKey {
+    id: Int
+    name: String
+    lastUsed: Date
+    createdAt: Date
+
+    # Only returned when the key is created, as only a hash of it is stored.
+    key: String
   }
 `;
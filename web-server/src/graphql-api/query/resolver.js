@@ -1,5 +1,22 @@
+import { sequelize } from 'scbl-lib/db';
 import { Op } from 'scbl-lib/db/sequelize';
-import { Ban, BanList, Organisation, SteamUser } from 'scbl-lib/db/models';
+import {
+  Ban,
+  BanList,
+  ClassificationRule,
+  EOSUser,
+  Organisation,
+  ReasonCategory,
+  ReputationFormula,
+  SteamUser
+} from 'scbl-lib/db/models';
+import { isEOSID } from 'scbl-lib/utils';
+
+import getBanWhere from '../ban/filter.js';
+import getLeaderboard from '../leaderboard/leaderboard.js';
+import getSteamUsersByGameReputation, {
+  GAME_REPUTATION_ORDER_FIELDS
+} from '../steam-user/game-reputation-order.js';
 
 export default {
   Query: {
@@ -13,20 +30,50 @@ export default {
         order: [['name', 'ASC']]
       });
     },
-    bans: (parent, filter) => {
+    classificationRules: () => {
+      return ClassificationRule.findAll({
+        order: [
+          ['category', 'ASC'],
+          ['priority', 'DESC']
+        ]
+      });
+    },
+    reasonCategories: () => {
+      return ReasonCategory.findAll({ order: [['name', 'ASC']] });
+    },
+    reputationFormula: (parent, filter) => {
+      // Without a version, the live formula is returned.
+      if (filter.version) return ReputationFormula.findVersion(filter.version);
+      return ReputationFormula.findOne({ order: [['id', 'DESC']] });
+    },
+    bans: async (parent, filter, context) => {
       return Ban.paginate({
         order: [[filter.orderBy || 'created', filter.orderDirection || 'DESC']],
         first: filter.first,
         after: filter.after,
         last: filter.last,
-        before: filter.before
+        before: filter.before,
+        where: await getBanWhere(filter, context)
       });
     },
     steamUsers: (parent, filter) => {
+      // Steam users filtered by game are ranked by their reputation from those games.
+      if (filter.games && GAME_REPUTATION_ORDER_FIELDS.includes(filter.orderBy))
+        return getSteamUsersByGameReputation(filter);
+
       const order = [[filter.orderBy || 'id', filter.orderDirection || 'DESC']];
 
-      // Dirty temporary way to sort multiple fields for this query.
-      if (filter.orderBy === 'reputationPointsMonthChange') order.push(['reputationRank', 'ASC']);
+      const where = {};
+      if (filter.orderBy === 'reputationRank') where.reputationRank = { [Op.ne]: null };
+      // Only include Steam users with bans on ban lists of the games.
+      if (filter.games)
+        where.id = {
+          [Op.in]: sequelize.literal(
+            `(SELECT steamUser FROM GameReputations WHERE game IN (${filter.games
+              .map((game) => sequelize.escape(game))
+              .join(', ')}))`
+          )
+        };
 
       return SteamUser.paginate({
         order: order,
@@ -34,12 +81,20 @@ export default {
         after: filter.after,
         last: filter.last,
         before: filter.before,
-        where:
-          filter.orderBy === 'reputationRank' ? { reputationRank: { [Op.ne]: null } } : undefined
+        where
       });
     },
     steamUser: async (parent, filter) => {
-      const user = await SteamUser.findByPk(filter.id);
+      let id = filter.id;
+
+      // Allow players to be looked up by their EOS ID.
+      if (isEOSID(id)) {
+        const eosUser = await EOSUser.findByPk(id.toLowerCase());
+        if (!eosUser) return null;
+        id = eosUser.steamUser;
+      }
+
+      const user = await SteamUser.findByPk(id);
 
       if (user) {
         user.lastViewed = Date.now();
@@ -48,6 +103,9 @@ export default {
 
       return user;
     },
+    leaderboard: (parent, filter) => {
+      return getLeaderboard(filter);
+    },
     loggedInSteamUser: async (parent, filter, context) => {
       return context.user ? SteamUser.findByPk(context.user.id) : null;
     }
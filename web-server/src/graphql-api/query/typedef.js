@@ -5,6 +5,9 @@ export default gql`
   type Query {
     organisations: [Organisation]
     banLists: [BanList]
+    classificationRules: [ClassificationRule] @systemAdminOnly
+    reasonCategories: [ReasonCategory]
+    reputationFormula(version: Int): ReputationFormula
 
     bans(
       first: Int
@@ -13,6 +16,9 @@ export default gql`
       before: String
       orderBy: String
       orderDirection: OrderDirection
+      includeRemoved: Boolean
+      games: [Game]
+      reasonCategories: [String]
     ): BanConnection
 
     steamUsers(
@@ -22,10 +28,18 @@ export default gql`
       before: String
       orderBy: String
       orderDirection: OrderDirection
+      games: [Game]
     ): SteamUserConnection
 
     steamUser(id: String!): SteamUser
 
+    leaderboard(
+      window: LeaderboardWindow!
+      reasonCategory: String
+      first: Int
+      after: String
+    ): LeaderboardConnection
+
     loggedInSteamUser: SteamUser
   }
 `;
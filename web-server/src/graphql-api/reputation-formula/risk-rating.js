@@ -0,0 +1,11 @@
+import { ReputationFormula } from 'scbl-lib/db/models';
+import { calculateRiskRating } from 'scbl-lib/utils';
+
+// Calculates the risk rating of a reputation with the version of the formula that calculated its
+// reputation points, or the live formula if they have not been calculated yet.
+export default async function getRiskRating(reputation) {
+  const formula = reputation.reputationFormulaVersion
+    ? await ReputationFormula.findVersion(reputation.reputationFormulaVersion)
+    : null;
+  return calculateRiskRating(reputation.reputationPoints, formula || undefined);
+}
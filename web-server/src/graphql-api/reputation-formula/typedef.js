@@ -0,0 +1,13 @@
+import ApolloServerKoa from 'apollo-server-koa';
+const { gql } = ApolloServerKoa;
+
+export default gql`
+  type ReputationFormula {
+    version: Int
+    activeBanListPoints: Int
+    expiredBanPoints: Int
+    expiredBanHalfLife: Int
+    riskRatingMaxPoints: Int
+    createdAt: Date
+  }
+`;
@@ -0,0 +1,12 @@
+import ApolloServerKoa from 'apollo-server-koa';
+const { gql } = ApolloServerKoa;
+
+export default gql`
+  type ReputationSnapshot {
+    date: Date
+    reputationPoints: Int
+    reputationRank: Int
+    activeBans: Int
+    expiredBans: Int
+  }
+`;
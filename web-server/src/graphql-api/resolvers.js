@@ -1,8 +1,11 @@
 import { resolver as banResolver } from './ban/index.js';
+import { resolver as banEventResolver } from './ban-event/index.js';
+import { resolver as banEvidenceResolver } from './ban-evidence/index.js';
 import { resolver as banListResolver } from './ban-list/index.js';
 import { resolver as coreResolver } from './core/index.js';
 import { resolver as exportBanListResolver } from './export-ban-list/index.js';
 import { resolver as exportBanListConfigResolver } from './export-ban-list-config/index.js';
+import { resolver as gameReputationResolver } from './game-reputation/index.js';
 import { resolver as mutationResolver } from './mutation/index.js';
 import { resolver as organisationResolver } from './organisation/index.js';
 import { resolver as queryResolver } from './query/index.js';
@@ -10,10 +13,13 @@ import { resolver as steamUserResolver } from './steam-user/index.js';
 
 export default [
   banResolver,
+  banEventResolver,
+  banEvidenceResolver,
   banListResolver,
   coreResolver,
   exportBanListResolver,
   exportBanListConfigResolver,
+  gameReputationResolver,
   mutationResolver,
   organisationResolver,
   queryResolver,
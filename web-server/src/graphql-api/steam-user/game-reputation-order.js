@@ -0,0 +1,90 @@
+import { sequelize } from 'scbl-lib/db';
+import { SteamUser } from 'scbl-lib/db/models';
+
+// Columns that Steam users filtered by game are ordered by the per game version of, summed over the
+// games, rather than their reputation from every game.
+export const GAME_REPUTATION_ORDER_FIELDS = [
+  'reputationPoints',
+  'reputationPointsMonthBefore',
+  'reputationPointsMonthChange'
+];
+
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify([row.value, row.steamUser])).toString('base64');
+
+function decodeCursor(cursor) {
+  try {
+    const [value, steamUser] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (!Number.isInteger(value) || typeof steamUser !== 'string') throw new Error();
+    return { value, steamUser };
+  } catch (err) {
+    throw new Error('Invalid cursor.');
+  }
+}
+
+// Pages through the Steam users with bans on ban lists of the games, ordered by their reputation
+// from those games. Ties are ordered by SteamID, as in other Steam user pages.
+export default async function getSteamUsersByGameReputation(filter) {
+  if (filter.last || filter.before)
+    throw new Error('last and before are not supported when ordering by game reputation.');
+
+  const direction = filter.orderDirection === 'ASC' ? 'ASC' : 'DESC';
+  const after = filter.after ? decodeCursor(filter.after) : null;
+
+  const rows = await sequelize.query(
+    `
+      SELECT R.steamUser, R.value
+      FROM (
+        SELECT GR.steamUser AS "steamUser", SUM(GR.${filter.orderBy}) AS "value"
+        FROM GameReputations GR
+        WHERE GR.game IN (:games)
+        GROUP BY GR.steamUser
+      ) R
+      ${
+        after
+          ? `WHERE (
+            R.value ${direction === 'ASC' ? '>' : '<'} :value OR
+            (R.value = :value AND R.steamUser > :steamUser)
+          )`
+          : ''
+      }
+      ORDER BY R.value ${direction}, R.steamUser ASC
+      ${filter.first ? 'LIMIT :limit' : ''}
+    `,
+    {
+      type: sequelize.QueryTypes.SELECT,
+      replacements: {
+        games: filter.games,
+        ...after,
+        // Fetch an extra row to find whether there is a next page.
+        ...(filter.first && { limit: filter.first + 1 })
+      }
+    }
+  );
+
+  const page = (filter.first ? rows.slice(0, filter.first) : rows).map((row) => ({
+    ...row,
+    value: parseInt(row.value)
+  }));
+
+  const steamUsers = await SteamUser.findAll({
+    where: { id: page.map((row) => row.steamUser) }
+  });
+  const steamUsersByID = {};
+  for (const steamUser of steamUsers) steamUsersByID[steamUser.id] = steamUser;
+
+  const edges = page.map((row) => ({
+    cursor: encodeCursor(row),
+    node: steamUsersByID[row.steamUser]
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: !!filter.first && rows.length > filter.first,
+      hasPreviousPage: !!after,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    }
+  };
+}
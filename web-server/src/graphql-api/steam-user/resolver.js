@@ -1,13 +1,56 @@
-import { Ban, ExportBanList } from 'scbl-lib/db/models';
+import {
+  Ban,
+  BanEvent,
+  EOSUser,
+  ExportBanList,
+  GameReputation,
+  ReputationFormula,
+  ReputationSnapshot
+} from 'scbl-lib/db/models';
+import { Op } from 'scbl-lib/db/sequelize';
 
-import { calculateRiskRating } from 'scbl-lib/utils';
+import getBanWhere from '../ban/filter.js';
+import getRiskRating from '../reputation-formula/risk-rating.js';
+
+const REPUTATION_HISTORY_DEFAULT_PERIOD = 365 * 24 * 60 * 60 * 1000;
 
 export default {
   SteamUser: {
+    eosIDs: async (parent) => {
+      const eosUsers = await EOSUser.findAll({ where: { steamUser: parent.id } });
+      return eosUsers.map((eosUser) => eosUser.id);
+    },
     riskRating: (parent) => {
-      return calculateRiskRating(parent.reputationPoints);
+      return getRiskRating(parent);
+    },
+    reputationFormula: (parent) => {
+      if (!parent.reputationFormulaVersion) return null;
+      return ReputationFormula.findVersion(parent.reputationFormulaVersion);
+    },
+    gameReputations: (parent) => {
+      return GameReputation.findAll({ where: { steamUser: parent.id }, order: [['game', 'ASC']] });
+    },
+    gameReputation: (parent, filter) => {
+      return GameReputation.findOne({ where: { steamUser: parent.id, game: filter.game } });
+    },
+    reputationHistory: (parent, filter) => {
+      // Default to the year up to today. Snapshots are daily, so the default starts at the start of
+      // the day to include its snapshot.
+      const to = filter.to || new Date();
+      let from = filter.from;
+      if (!from) {
+        from = new Date(to.getTime() - REPUTATION_HISTORY_DEFAULT_PERIOD);
+        from.setHours(0, 0, 0, 0);
+      }
+      if (isNaN(from.getTime()) || isNaN(to.getTime())) throw new Error('Invalid date.');
+      if (from > to) throw new Error('from must not be after to.');
+
+      return ReputationSnapshot.findAll({
+        where: { steamUser: parent.id, date: { [Op.between]: [from, to] } },
+        order: [['date', 'ASC']]
+      });
     },
-    bans: (parent, filter) => {
+    bans: async (parent, filter, context) => {
       return Ban.paginate({
         order: [[filter.orderBy || 'created', filter.orderDirection || 'DESC']],
         first: filter.first,
@@ -15,11 +58,22 @@ export default {
         last: filter.last,
         before: filter.before,
         where: {
+          ...(await getBanWhere(filter, context)),
           steamUser: parent.id,
           ...(typeof filter.expired !== 'undefined' && { expired: filter.expired })
         }
       });
     },
+    events: (parent, filter) => {
+      return BanEvent.paginate({
+        order: [['timestamp', filter.orderDirection || 'DESC']],
+        first: filter.first,
+        after: filter.after,
+        last: filter.last,
+        before: filter.before,
+        where: { steamUser: parent.id }
+      });
+    },
     exportBanList: (parent, filter) => {
       return ExportBanList.findByPk(filter.id);
     },
@@ -4,6 +4,7 @@ const { gql } = ApolloServerKoa;
 export default gql`
   type SteamUser {
     id: String
+    eosIDs: [String]
     name: String
     profileURL: String
     avatar: String
@@ -16,9 +17,15 @@ export default gql`
     reputationPointsMonthChange: Int
     lastRefreshedReputationPoints: Date
     riskRating: Float
+    reputationFormula: ReputationFormula
     reputationRank: Int
     lastRefreshedReputationRank: Date
 
+    gameReputations: [GameReputation]
+    gameReputation(game: Game!): GameReputation
+
+    reputationHistory(from: Date, to: Date): [ReputationSnapshot]
+
     lastViewed: Date
 
     bans(
@@ -29,8 +36,19 @@ export default gql`
       orderBy: String
       orderDirection: OrderDirection
       expired: Boolean
+      includeRemoved: Boolean
+      games: [Game]
+      reasonCategories: [String]
     ): BanConnection
 
+    events(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      orderDirection: OrderDirection
+    ): BanEventConnection
+
     exportBanList(id: Int!): ExportBanList
     exportBanLists: [ExportBanList]
   }
@@ -1,23 +1,37 @@
 import { typedef as banTypeDef } from './ban/index.js';
+import { typedef as banEventTypeDef } from './ban-event/index.js';
+import { typedef as banEvidenceTypeDef } from './ban-evidence/index.js';
 import { typedef as banListTypeDef } from './ban-list/index.js';
+import { typedef as classificationRuleTypeDef } from './classification-rule/index.js';
 import { typedef as coreTypeDef } from './core/index.js';
 import { typedef as exportBanListTypeDef } from './export-ban-list/index.js';
 import { typedef as exportBanListConfigTypeDef } from './export-ban-list-config/index.js';
+import { typedef as gameReputationTypeDef } from './game-reputation/index.js';
+import { typedef as leaderboardTypeDef } from './leaderboard/index.js';
 import { typedef as mutationTypeDef } from './mutation/index.js';
 import { typedef as organisationTypeDef } from './organisation/index.js';
 import { typedef as queryTypeDef } from './query/index.js';
+import { typedef as reputationFormulaTypeDef } from './reputation-formula/index.js';
+import { typedef as reputationSnapshotTypeDef } from './reputation-snapshot/index.js';
 import { typedef as steamUserTypeDef } from './steam-user/index.js';
 import enumTypeDef from './enums.js';
 
 export default [
   banTypeDef,
+  banEventTypeDef,
+  banEvidenceTypeDef,
   banListTypeDef,
+  classificationRuleTypeDef,
   coreTypeDef,
   exportBanListTypeDef,
   exportBanListConfigTypeDef,
+  gameReputationTypeDef,
+  leaderboardTypeDef,
   mutationTypeDef,
   organisationTypeDef,
   queryTypeDef,
+  reputationFormulaTypeDef,
+  reputationSnapshotTypeDef,
   steamUserTypeDef,
   enumTypeDef
 ];
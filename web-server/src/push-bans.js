@@ -0,0 +1,98 @@
+import Router from 'koa-router';
+
+import { removeBans, saveBan } from 'scbl-lib/db/bans';
+import { Ban, BanList, EOSUser, OrganisationAPIKey, SteamUser } from 'scbl-lib/db/models';
+import { createImportedBan, isEOSID, isSteamID } from 'scbl-lib/utils';
+
+const REMOVAL_REASON = 'Revoked by organisation';
+const MAX_BAN_ID_LENGTH = 200;
+
+const router = new Router();
+
+function parseDate(ctx, value, name) {
+  if (value === undefined || value === null) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) ctx.throw(422, `Invalid ${name} date.`);
+  return date;
+}
+
+// Partner organisations authenticate with an API key, which only allows them to push bans to their
+// own push ban lists.
+async function authenticate(ctx, next) {
+  const [scheme, key] = (ctx.get('Authorization') || '').split(' ');
+  const apiKey = scheme === 'Bearer' && key ? await OrganisationAPIKey.findByKey(key) : null;
+  if (!apiKey) ctx.throw(401, 'A valid organisation API key is required.');
+
+  const banList = await BanList.findByPk(ctx.params.banList);
+  if (!banList || banList.organisation !== apiKey.organisation)
+    ctx.throw(404, 'Ban list does not exist!');
+  if (banList.type !== 'push') ctx.throw(409, 'Bans can only be pushed to push ban lists.');
+
+  if (ctx.params.id.length > MAX_BAN_ID_LENGTH)
+    ctx.throw(422, `Ban IDs must be at most ${MAX_BAN_ID_LENGTH} characters long.`);
+
+  apiKey.lastUsed = Date.now();
+  await apiKey.save();
+
+  ctx.state.banList = banList;
+  await next();
+}
+
+// Creates or updates a ban.
+router.put('/ban-lists/:banList/bans/:id', authenticate, async (ctx) => {
+  const { steamID, eosID, created, expires, reason, note } = ctx.request.body || {};
+
+  if (steamID !== undefined && steamID !== null && !isSteamID(steamID))
+    ctx.throw(422, 'Invalid steamID.');
+  if (eosID !== undefined && eosID !== null && !isEOSID(eosID)) ctx.throw(422, 'Invalid eosID.');
+  if (!steamID && !eosID) ctx.throw(422, 'A steamID or eosID is required.');
+  if (typeof reason !== 'string' || reason.length === 0) ctx.throw(422, 'A reason is required.');
+  if (note !== undefined && note !== null && typeof note !== 'string')
+    ctx.throw(422, 'Invalid note.');
+
+  const importedBan = createImportedBan({
+    id: ctx.params.id,
+    banList: ctx.state.banList,
+    steamUser: steamID,
+    eosID,
+    created: parseDate(ctx, created, 'created'),
+    expires: parseDate(ctx, expires, 'expires'),
+    reason,
+    note
+  });
+
+  // Store the link between the EOS ID and SteamID, or find the SteamID of EOS only bans.
+  if (importedBan.steamUser) {
+    await SteamUser.bulkCreate([{ id: importedBan.steamUser }], { updateOnDuplicate: ['id'] });
+    if (importedBan.eosID)
+      await EOSUser.bulkCreate([{ id: importedBan.eosID, steamUser: importedBan.steamUser }], {
+        updateOnDuplicate: ['steamUser']
+      });
+  } else {
+    const eosUser = await EOSUser.findByPk(importedBan.eosID);
+    if (!eosUser)
+      ctx.throw(422, 'The eosID is not linked to a Steam user, so a steamID is required.');
+    importedBan.steamUser = eosUser.steamUser;
+  }
+
+  const result = await saveBan(importedBan);
+
+  ctx.status = result.created ? 201 : 200;
+  ctx.body = { id: ctx.params.id, created: result.created };
+});
+
+// Revokes a ban.
+router.delete('/ban-lists/:banList/bans/:id', authenticate, async (ctx) => {
+  const ban = await Ban.findOne({
+    attributes: ['id', 'steamUser', 'banList'],
+    where: { id: `${ctx.state.banList.id},${ctx.params.id}`, removedAt: null }
+  });
+  if (!ban) ctx.throw(404, 'Ban does not exist!');
+
+  await removeBans([ban], REMOVAL_REASON);
+
+  ctx.status = 204;
+});
+
+export default router;